@@ -1,251 +1,1125 @@
-import React, { useState, useCallback, useRef, useEffect } from 'react';
-
-// Default fortunes - ALL WINNING MESSAGES! 🎉
-const DEFAULT_FORTUNES = [
-  'You are a winner! 🏆',
-  'Great fortune awaits you! ✨',
-  'Success is in your future! 🌟',
-  'Lucky you! Amazing things coming! 🍀',
-  'Victory is yours! 🎯',
-  'You will achieve greatness! 💫',
-  'Fortune smiles upon you! 😊',
-  'Your dreams will come true! 🌈',
-];
-
-// Tap indicator positions for each state (accurately positioned on clickable areas)
-const TAP_POSITIONS = {
-  closed: [
-    { top: '30%', left: '30%', hint: 'Tap a color!' },  // red - top left
-    { top: '30%', left: '70%' },  // blue - top right
-    { top: '70%', left: '30%' },  // green - bottom left
-    { top: '70%', left: '70%' },  // yellow - bottom right
-  ],
-  horizontalNums: [
-    // Numbers 7, 1, 5, 3 - positioned at center of inner triangles
-    { top: '41%', left: '37%', hint: 'Pick a number!' },  // 7 - top left
-    { top: '41%', left: '63%' },  // 1 - top right
-    { top: '59%', left: '37%' },  // 5 - bottom left
-    { top: '59%', left: '63%' },  // 3 - bottom right
-  ],
-  verticalNums: [
-    // Numbers 8, 2, 6, 4 - positioned at center of inner triangles
-    { top: '40%', left: '34%', hint: 'Pick a number!' },  // 8 - top left
-    { top: '40%', left: '58%' },  // 2 - top right
-    { top: '68%', left: '34%' },  // 6 - bottom left
-    { top: '68%', left: '58%' },  // 4 - bottom right
-  ],
-  // No thumb indicators for opened state - just show hint text
-  opened: [
-    { hint: 'Reveal your fortune!' },
-  ],
+import React, { useState, useCallback, useMemo, useRef, useEffect, useLayoutEffect, forwardRef, useImperativeHandle } from 'react';
+import {
+  sendToReactNative,
+  listenToReactNative,
+  createSessionId,
+  BRIDGE_COMMANDS,
+  GAME_EVENTS,
+} from './bridge';
+import {
+  SVG_STATES,
+  QUADRANTS,
+  CREASE_WIDTH,
+  VIEWPORT,
+  getStateGeometry,
+  isHorizontalShape,
+} from './geometry';
+import {
+  resolveTheme,
+  mergeThemes,
+  themeFromShortcuts,
+  resolveColorVar,
+  getThemeVars,
+  isHexColor,
+  validateTheme,
+} from './theme';
+import {
+  FORTUNE_MAPPING,
+  FORTUNE_OUTCOMES,
+  getFortuneEntries,
+  validateFortunes,
+  validateOutcome,
+  isValidWinProbability,
+} from './fortunes';
+import { isValidSeed } from './random';
+import {
+  DEFAULT_STORAGE_KEY,
+  resolveStorage,
+  sanitizePlays,
+  countPlaysToday,
+  getPlayLimit,
+  getSnapshotKey,
+  createSnapshot,
+  validateSnapshot,
+  loadSessionSnapshot,
+  saveSessionSnapshot,
+} from './storage';
+import {
+  STAGE_INPUTS,
+  resolveFlow,
+  getStageState,
+} from './flow';
+import { createGame, getMoveShape } from './game';
+import { createGestureRecognizer } from './gestures';
+import { loadPack, resolvePack } from './packs';
+import { parseMarkup, markupToText } from './markup';
+import {
+  SOUNDS,
+  HAPTIC_STYLES,
+  createSoundPlayer,
+  triggerHaptic,
+} from './feedback';
+import {
+  resolveMessages,
+  getTextDirection,
+  formatMessage,
+  splitGraphemes,
+  getLocaleTag,
+} from './i18n';
+
+// Hint for each stage input (texts in i18n.js, overridable via the `hints` prop)
+const HINT_BY_INPUT = {
+  color: 'color',
+  number: 'number',
+  flap: 'reveal',
+};
+
+// Optional UI pieces: the guides are on by default, the extras off
+const DEFAULT_FEATURES = {
+  tapIndicators: true,
+  hint: true,
+  tooltip: true,
+  playAgain: false, // "Play again" button after the reveal
+  gestures: false,  // fold by hand: pinch, spread or swipe per move, drag a flap to lift it
+  sound: false,     // paper flips, taps and a reveal chime (see feedback.js)
+  haptics: false,   // vibration, or `haptic` messages to the host
 };
 
-// Color mappings
-const COLOR_BY_CLICK_REGION = {
-  '#EF476F': 'red',
-  '#06D6A0': 'green',
-  '#118AB2': 'blue',
-  '#FFD166': 'yellow',
+// Emoji for the tooltip when the fortune text has none
+const OUTCOME_EMOJI = {
+  win: '🔮',
+  lose: '🍂',
+  neutral: '🌙',
+  retry: '🔁',
 };
 
-// Helper to darken color
-const getDarkerShade = (color) => {
-  const darkFactor = 0.8;
-  const r = parseInt(color.substr(1, 2), 16);
-  const g = parseInt(color.substr(3, 2), 16);
-  const b = parseInt(color.substr(5, 2), 16);
-  const darkR = Math.floor(r * darkFactor);
-  const darkG = Math.floor(g * darkFactor);
-  const darkB = Math.floor(b * darkFactor);
-  return `#${darkR.toString(16).padStart(2, '0')}${darkG.toString(16).padStart(2, '0')}${darkB.toString(16).padStart(2, '0')}`.toUpperCase();
+// Arrow keys move focus to the next / previous hit area, wrapping around
+const ARROW_STEPS = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 };
+
+// Folding motion between states.
+// Each move pinches the current shape closed and opens it along the other axis;
+// the shapes swap at the fully pinched midpoint so there is no visible cut.
+const DEFAULT_MOVE_DURATION_MS = 400;
+
+const easeInOutCubic = (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2);
+
+const prefersReducedMotion = () =>
+  typeof window !== 'undefined' && window.matchMedia
+  && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+// Two game states (see game.js) rest at the same point of the same game
+const isSameGameState = (a, b) => a.state === b.state && a.turn === b.turn;
+
+// Frame of a move at `progress` (0-1): which shape to draw and how far it is pinched
+const getFoldFrame = (fromState, toState, progress) => {
+  const eased = easeInOutCubic(progress);
+  const state = eased < 0.5 ? fromState : toState;
+  // 0 when fully open, 1 at the pinched midpoint
+  const pinch = Math.sin(Math.PI * eased);
+  const squeeze = 1 - 0.3 * pinch;
+  const settle = 1 - 0.08 * pinch;
+  const horizontal = isHorizontalShape(state);
+  const tilt = (horizontal ? 1 : -1) * 14 * pinch;
+  const transform = horizontal
+    ? `perspective(900px) rotateY(${tilt}deg) scale(${squeeze}, ${settle})`
+    : `perspective(900px) rotateX(${tilt}deg) scale(${settle}, ${squeeze})`;
+  return { state, transform };
 };
 
-// SVG States
-const SVG_STATES = {
-  CLOSED: 'closed',
-  HORIZONTAL_NUMS: 'horizontalNums',
-  VERTICAL_NUMS: 'verticalNums',
-  HORIZONTAL: 'horizontal',
-  VERTICAL: 'vertical',
-  OPENED: 'opened',
-  FLAP_1: 'flap1',
-  FLAP_2: 'flap2',
-  FLAP_3: 'flap3',
-  FLAP_4: 'flap4',
-  FLAP_5: 'flap5',
-  FLAP_6: 'flap6',
-  FLAP_7: 'flap7',
-  FLAP_8: 'flap8',
+// Pause on the teller before the game opens a flap by itself
+const AUTO_FLAP_DELAY_MS = 600;
+
+// Where a game in progress is snapshotted for resuming
+const RESUME_TARGETS = {
+  SESSION: 'session', // sessionStorage
+  HOST: 'host',       // `gameSnapshot` events out, the `restoreGame` command back in
 };
 
-// Send message to React Native
-const sendToReactNative = (data) => {
-  // Always try to send to React Native WebView
-  if (window.ReactNativeWebView && window.ReactNativeWebView.postMessage) {
-    window.ReactNativeWebView.postMessage(JSON.stringify(data));
+// Viewport coordinates -> CSS position in the game wrapper, which has the viewport's shape
+const toPercent = (value, size) => `${(value / size) * 100}%`;
+
+// A point well inside a drawn shape, in its canvas coordinates: the middle of its
+// outline, which is inside any convex shape, or else the middle of its bounding box
+const OUTLINE_SAMPLES = 24;
+const getShapeAnchor = (el) => {
+  const box = el.getBBox();
+  if (typeof el.getTotalLength !== 'function') {
+    return { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+  }
+  const length = el.getTotalLength();
+  let x = 0;
+  let y = 0;
+  for (let i = 0; i < OUTLINE_SAMPLES; i += 1) {
+    const point = el.getPointAtLength((length * i) / OUTLINE_SAMPLES);
+    x += point.x;
+    y += point.y;
   }
-  // Also dispatch a custom event for other integrations
-  window.dispatchEvent(new CustomEvent('fortuneRevealed', { detail: data }));
-  console.log('Fortune revealed:', data);
+  return { x: x / OUTLINE_SAMPLES, y: y / OUTLINE_SAMPLES };
 };
 
-export default function PaperFortune({ fortunes = DEFAULT_FORTUNES, onFortuneRevealed }) {
-  const [svgState, setSvgState] = useState(SVG_STATES.CLOSED);
+// The part of a lifted flap's room the lifted flap leaves free: the wider side of it
+const getFreeRoom = (room, box) => {
+  const overlaps = box.x < room.x + room.width && box.x + box.width > room.x
+    && box.y < room.y + room.height && box.y + box.height > room.y;
+  if (!overlaps) return room;
+  const left = box.x - room.x;
+  const right = room.x + room.width - (box.x + box.width);
+  return left >= right
+    ? { ...room, width: left }
+    : { ...room, x: box.x + box.width, width: right };
+};
+
+// Where the tap indicators and the fortune go in a state, in viewport coordinates,
+// measured from what was drawn. Empty where the SVG cannot be measured.
+const measureState = (svg, state) => {
+  const geometry = getStateGeometry(state);
+  const { offset } = geometry;
+  const measured = { state, targets: [], fortune: null };
+  if (!svg || typeof svg.getBBox !== 'function') return measured;
+
+  measured.targets = Array.from(svg.querySelectorAll('path[role="button"]')).map(el => {
+    const anchor = getShapeAnchor(el);
+    return { x: anchor.x + offset.x, y: anchor.y + offset.y };
+  });
+  const lifted = svg.querySelector('path[id$="-lifted"]');
+  if (geometry.room && lifted) {
+    const room = getFreeRoom(geometry.room, lifted.getBBox());
+    measured.fortune = { ...room, x: room.x + offset.x, y: room.y + offset.y };
+  }
+  return measured;
+};
+
+// Markup tree (see markup.js) -> React elements. Only the known tags reach here.
+const renderMarkup = (nodes) => nodes.map((node, index) => {
+  if (typeof node === 'string') return node;
+  const Tag = node.tag;
+  return node.tag === 'br' ? <br key={index} /> : <Tag key={index}>{renderMarkup(node.children)}</Tag>;
+});
+
+// Split a trailing emoji off a fortune so the tooltip can show it separately
+const splitFortuneEmoji = (text, fallback = OUTCOME_EMOJI.win) => {
+  const match = text.match(/^(.*?)\s*((?:\p{Extended_Pictographic}\uFE0F?)+)\s*$/u);
+  if (!match) return { text, emoji: fallback };
+  return { text: match[1], emoji: match[2] };
+};
+
+export default forwardRef(function PaperFortune({
+  fortunes,
+  fortuneMapping,
+  selectFortune,
+  seed,
+  outcome,
+  winProbability,
+  theme,
+  colors,
+  labels,
+  hints,
+  locale,
+  messages,
+  pack,
+  features,
+  moveDurationMs = DEFAULT_MOVE_DURATION_MS,
+  autoResetAfterMs,
+  storage,
+  storageKey = DEFAULT_STORAGE_KEY,
+  maxPlaysPerDay,
+  cooldownMs,
+  resume,
+  muted = false,
+  flow,
+  rules,
+  numberRounds,
+  gameState: controlledState,
+  onGameStateChange,
+  onFortuneRevealed,
+  onEvent,
+}, ref) {
+  // Content pushed by the host over the bridge takes precedence over props
+  const [hostContent, setHostContent] = useState({});
+  const [hostTheme, setHostTheme] = useState({});
+  // undefined until the host sends one; null clears the prop value
+  const [hostSeed, setHostSeed] = useState(undefined);
+  const [hostOutcome, setHostOutcome] = useState(undefined);
+  const [hostMuted, setHostMuted] = useState(undefined);
+  // The checked content pack (see packs.js), from the `pack` prop or the host
+  const [loadedPack, setLoadedPack] = useState(null);
+
+  const enabled = { ...DEFAULT_FEATURES, ...features };
+  // Texts in the player's language (see i18n.js)
+  const catalog = useMemo(() => resolveMessages(locale, messages), [locale, messages]);
+  const direction = getTextDirection(locale);
+  // For Intl, toLocale* and the lang attribute, which take only BCP 47 tags
+  const localeTag = getLocaleTag(locale);
+  const getHint = (key) => (hints && hints[key]) || catalog.hints[key];
+  const packContent = useMemo(() => (loadedPack ? resolvePack(loadedPack, locale) : {}), [loadedPack, locale]);
+  const activeFortunes = hostContent.fortunes || packContent.fortunes || fortunes || catalog.fortunes;
+  const activeSeed = hostSeed !== undefined ? hostSeed : seed;
+  const activeOutcome = hostOutcome !== undefined ? hostOutcome : outcome;
+  const activeWinProbability = hostContent.winProbability ?? packContent.winProbability ?? winProbability;
+  const activeMuted = hostMuted ?? muted;
+  // Theme layers: the language's color names, props, the pack, then whatever the host
+  // pushed; shortcuts win within a layer
+  const activeTheme = resolveTheme(mergeThemes(
+    mergeThemes(
+      mergeThemes(
+        mergeThemes(themeFromShortcuts(undefined, catalog.colors), theme),
+        themeFromShortcuts(colors, labels),
+      ),
+      packContent.theme,
+    ),
+    hostTheme,
+  ));
+  // Stages of a game (see flow.js); `rules` and `numberRounds` are shortcuts for the usual ones.
+  // The turn is the index of the stage waiting for the player.
+  const stages = useMemo(() => resolveFlow(flow, rules, numberRounds), [flow, rules, numberRounds]);
+  const initialState = getStageState(stages[0]);
+
+  // A game state from the host (see game.js) makes the component controlled: it shows
+  // that state and asks for changes through onGameStateChange. null is a new game.
+  const isControlled = controlledState !== undefined;
+
+  // A game interrupted by a reload starts where it was (read once, on mount)
+  const [restored] = useState(() => {
+    const snapshot = resume === RESUME_TARGETS.SESSION && !isControlled
+      ? loadSessionSnapshot(getSnapshotKey(storageKey))
+      : null;
+    // A snapshot from another flow may point past its last stage
+    return snapshot && snapshot.turn < stages.length ? snapshot : null;
+  });
+
   const [isAnimating, setIsAnimating] = useState(false);
-  const [currentTurn, setCurrentTurn] = useState(0);
-  const [revealedFortune, setRevealedFortune] = useState(null);
   const [hoveredFlap, setHoveredFlap] = useState(null);
+  const [foldTransform, setFoldTransform] = useState(null);
+  const [counting, setCounting] = useState(null);
+  // A count the player folds by hand (the `gestures` feature), while moves are left:
+  // { moves, done, turn, fromState, endState, tokens }
+  const manualCountRef = useRef(null);
+  const [isFoldingByHand, setIsFoldingByHand] = useState(false);
   const animationRef = useRef(null);
-  const hasCalledCallback = useRef(false);
-
-  // Function to reveal fortune and trigger callback (guaranteed win)
-  const revealFortuneAndCallback = useCallback((flapNum) => {
-    if (hasCalledCallback.current) return; // Prevent double callback
-    hasCalledCallback.current = true;
-    
-    const randomFortune = fortunes[Math.floor(Math.random() * fortunes.length)];
-    
-    // Keep the opened state (don't distort view) - just show fortune in tooltip
-    setRevealedFortune({ flap: flapNum, text: randomFortune });
-    // Don't change SVG state - keep it as OPENED
-    
-    // Callback data - ALWAYS sent
-    const callbackData = {
-      type: 'fortuneRevealed',
-      fortune: randomFortune,
-      flapNumber: flapNum,
-      success: true, // Always a win
+  const autoResetRef = useRef(null);
+  // Set when the player uses the keyboard, so focus follows the teller to its next state
+  const keyboardFocusRef = useRef(false);
+  const [sessionId] = useState(() => (restored && restored.sessionId) || createSessionId());
+
+  // Every play so far, oldest first (fortune caps and play limits count these).
+  // The ref is read by callbacks, the state re-renders when a limit starts or ends.
+  const [store] = useState(() => resolveStorage(storage, storageKey));
+  const [history, setHistory] = useState([]);
+  const historyRef = useRef(history);
+  const [, setClock] = useState(0);
+
+  // Send a lifecycle event to the host (and the onEvent prop).
+  // Read through a ref so animation timers always see the latest callback.
+  const onEventRef = useRef(onEvent);
+  onEventRef.current = onEvent;
+  const emitEvent = useCallback((type, data = {}) => {
+    const event = { type, sessionId, timestamp: Date.now(), ...data };
+    sendToReactNative(event);
+    if (onEventRef.current) {
+      onEventRef.current(event);
+    }
+    return event;
+  }, [sessionId]);
+
+  // Content pack from the `pack` prop. Until it loads, and when it is invalid, the game
+  // plays with the other props.
+  const applyPack = useCallback((loaded, from) => {
+    setLoadedPack(loaded);
+    emitEvent(GAME_EVENTS.PACK_LOADED, {
+      from,
+      packId: loaded.id,
+      version: loaded.version,
+      count: loaded.fortunes.length,
+    });
+  }, [emitEvent]);
+
+  useEffect(() => {
+    setLoadedPack(null);
+    if (!pack) return undefined;
+    let cancelled = false;
+    loadPack(pack)
+      .then(loaded => {
+        if (!cancelled) applyPack(loaded, 'prop');
+      })
+      .catch(e => {
+        if (cancelled) return;
+        console.warn(`[PaperFortune pack] ${e.message}`);
+        emitEvent(GAME_EVENTS.PACK_FAILED, {
+          from: 'prop',
+          url: typeof pack === 'string' ? pack : null,
+          problems: e.problems || [e.message],
+        });
+      });
+    return () => {
+      cancelled = true;
     };
-    
-    // Send to React Native (guaranteed callback)
-    sendToReactNative(callbackData);
-    
-    // Also call the prop callback if provided
-    if (onFortuneRevealed) {
-      onFortuneRevealed(callbackData);
+  }, [pack, applyPack, emitEvent]);
+
+  // Sound and haptics for a moment of the game, when turned on.
+  // Read through a ref so animation frames always see the latest settings.
+  const [soundPlayer] = useState(createSoundPlayer);
+  const feedbackRef = useRef(null);
+  feedbackRef.current = { sound: enabled.sound && !activeMuted, haptics: enabled.haptics };
+  const giveFeedback = useCallback((sound, haptic) => {
+    if (feedbackRef.current.sound) soundPlayer.play(sound);
+    if (feedbackRef.current.haptics) triggerHaptic(haptic);
+  }, [soundPlayer]);
+
+  // Replace the history; `save` also stores it and tells the host
+  const updateHistory = useCallback((plays, save) => {
+    const next = sanitizePlays(plays);
+    historyRef.current = next;
+    setHistory(next);
+    if (!save) return;
+    if (store) {
+      Promise.resolve()
+        .then(() => store.save(next))
+        .catch(e => console.warn(`[PaperFortune storage] could not save the play history: ${e.message}`));
     }
-    
-    // No auto-restart - stay on opened state
-  }, [fortunes, onFortuneRevealed]);
+    emitEvent(GAME_EVENTS.HISTORY_CHANGED, { plays: next });
+  }, [store, emitEvent]);
 
-  const handleFlapClick = useCallback((flapId, fillColor) => {
-    if (isAnimating) return;
+  const recordPlay = useCallback((play) => {
+    updateHistory([...historyRef.current, play], true);
+  }, [updateHistory]);
+
+  // Saved plays come first; anything played while loading is kept
+  useEffect(() => {
+    if (!store) return undefined;
+    let cancelled = false;
+    Promise.resolve()
+      .then(() => store.load())
+      .then(saved => {
+        if (!cancelled) updateHistory([...sanitizePlays(saved), ...historyRef.current], false);
+      })
+      .catch(e => console.warn(`[PaperFortune storage] could not load the play history: ${e.message}`));
+    return () => {
+      cancelled = true;
+    };
+  }, [store, updateHistory]);
 
-    if (svgState === SVG_STATES.CLOSED) {
-      // First click - animate based on color name length
-      const colorName = COLOR_BY_CLICK_REGION[fillColor] || COLOR_BY_CLICK_REGION[fillColor.toUpperCase()];
-      const numAnimations = colorName ? colorName.length : 4;
-      setCurrentTurn(1);
-      startAnimation(numAnimations, 1);
-    } else if (svgState === SVG_STATES.HORIZONTAL_NUMS || svgState === SVG_STATES.VERTICAL_NUMS) {
-      // Second click - animate based on number
-      const num = parseInt(flapId.charAt(0));
-      if (!isNaN(num)) {
-        setCurrentTurn(2);
-        startAnimation(num, 2);
+  // The rules run in the headless core (see game.js); the component draws and animates
+  // the state it lands in. Its options follow the props and whatever the host pushed.
+  const gameOptions = {
+    flow: stages,
+    fortunes: activeFortunes,
+    mapping: hostContent.mapping || packContent.mapping || fortuneMapping,
+    selectFortune,
+    winProbability: activeWinProbability,
+    outcome: activeOutcome,
+    seed: activeSeed,
+    colorNames: Object.fromEntries(QUADRANTS.map(quadrant => [quadrant, activeTheme.quadrants[quadrant].name])),
+    locale: localeTag,
+    defaultFortunes: catalog.fortunes,
+    nonWinningTexts: catalog.nonWinning,
+    getHistory: () => historyRef.current,
+    maxPlaysPerDay,
+    cooldownMs,
+    sessionId,
+  };
+  const idleState = useMemo(() => ({
+    state: initialState,
+    turn: 0,
+    selection: {},
+    count: null,
+    revealedFortune: null,
+  }), [initialState]);
+  const [game] = useState(() => createGame({
+    ...gameOptions,
+    initial: isControlled ? controlledState || undefined : restored || undefined,
+  }));
+  useLayoutEffect(() => {
+    game.setOptions(gameOptions);
+  });
+
+  // The state on screen: the host's when controlled, otherwise the core's
+  const [ownState, setOwnState] = useState(() => game.getState());
+  const shown = isControlled ? controlledState || idleState : ownState;
+  const currentTurn = shown.turn;
+  const { revealedFortune } = shown;
+  // A flow changed mid-game ends on its last stage
+  const stage = stages[Math.min(currentTurn, stages.length - 1)];
+  const isAutoFlap = stage.input === STAGE_INPUTS.FLAP && stage.choose === 'auto';
+  // What is drawn, including the folding shapes of a move
+  const [svgState, setSvgState] = useState(shown.state);
+
+  // A controlled core always holds the host's state; one it cannot play is ignored
+  const controlledRef = useRef(null);
+  controlledRef.current = isControlled ? controlledState || idleState : null;
+  const syncControlled = useCallback(() => {
+    if (!controlledRef.current) return;
+    try {
+      game.setState(controlledRef.current);
+    } catch (e) {
+      console.warn(`[PaperFortune] ignoring gameState: ${e.message}`);
+    }
+  }, [game]);
+  useLayoutEffect(syncControlled, [controlledState, idleState, syncControlled]);
+
+  // What a change of the game does besides moving the teller: its events go out,
+  // a reveal calls back and is recorded as a play
+  const applyGameEvents = (next, events) => {
+    events.forEach(({ type, ...data }) => {
+      const event = emitEvent(type, data);
+      if (type === GAME_EVENTS.COLOR_SELECTED || type === GAME_EVENTS.NUMBER_SELECTED) {
+        giveFeedback(SOUNDS.TAP, HAPTIC_STYLES.LIGHT);
+      } else if (type === GAME_EVENTS.FORTUNE_REVEALED) {
+        giveFeedback(SOUNDS.CHIME, HAPTIC_STYLES.SUCCESS);
+        // Called back whether the fortune wins or not
+        if (onFortuneRevealed) onFortuneRevealed(event);
+        recordPlay({
+          ...next.selection,
+          fortuneId: data.fortuneId,
+          tier: data.tier,
+          outcome: data.outcome,
+          flapNumber: data.flapNumber,
+          sessionId,
+          timestamp: event.timestamp,
+        });
       }
-    } else if (svgState === SVG_STATES.OPENED) {
-      // Final click - reveal fortune (GUARANTEED WIN)
-      const flapNum = parseInt(flapId.charAt(0));
-      const finalFlapNum = !isNaN(flapNum) ? flapNum : 1; // Default to flap 1 if parsing fails
-      revealFortuneAndCallback(finalFlapNum);
+    });
+  };
+
+  // Every change of the game. An uncontrolled game moves on at once. A controlled one
+  // only proposes the change to the host and stays where the host keeps it; its events
+  // go out once the host's gameState moves there. Read through a ref, like onEvent.
+  const proposalRef = useRef(null);
+  const gameListenerRef = useRef(null);
+  gameListenerRef.current = (next, events) => {
+    if (!isControlled) {
+      applyGameEvents(next, events);
+      setOwnState(next);
+      return;
+    }
+    if (!events.length) return;
+    if (isSameGameState(next, controlledRef.current)) {
+      // Nothing for the host to accept, such as a play limit
+      applyGameEvents(next, events);
+      return;
+    }
+    proposalRef.current = { next, events };
+    if (onGameStateChange) onGameStateChange(next, events);
+    syncControlled();
+  };
+  useLayoutEffect(() => {
+    const proposal = proposalRef.current;
+    if (!proposal || !isControlled || !isSameGameState(proposal.next, controlledRef.current)) return;
+    proposalRef.current = null;
+    applyGameEvents(proposal.next, proposal.events);
+  }, [controlledState]);
+  useLayoutEffect(() => game.subscribe((next, events) => gameListenerRef.current(next, events)), [game]);
+
+  // Play limits, checked before a new game starts
+  const limits = { maxPlaysPerDay, cooldownMs };
+  const playLimit = getPlayLimit(history, limits);
+  const getCurrentLimit = () => getPlayLimit(historyRef.current, limits);
+
+  // "Come back later" replaces the first stage's hint until the limit runs out
+  const isLimited = Boolean(playLimit) && currentTurn === 0 && !isAnimating && !revealedFortune;
+  const getLimitText = () => formatMessage(catalog.playLimit[playLimit.reason], {
+    time: new Date(playLimit.until).toLocaleTimeString(localeTag, { hour: 'numeric', minute: '2-digit' }),
+  });
+
+  // Re-render when the limit runs out
+  const limitUntil = playLimit && playLimit.until;
+  useEffect(() => {
+    if (!limitUntil) return undefined;
+    // setTimeout cannot wait longer than about 24.8 days; check again after that
+    const timer = setTimeout(() => setClock(Date.now()), Math.min(limitUntil - Date.now() + 50, 2 ** 31 - 1));
+    return () => clearTimeout(timer);
+  }, [limitUntil]);
+
+  // `target` comes from the geometry: { kind: 'color', quadrant } or { kind: 'number' | 'flap', number }.
+  // The core takes only the input the current stage waits for.
+  const handleFlapClick = useCallback((target) => {
+    if (isAnimating) return;
+    if (manualCountRef.current) {
+      // A tap counts out the rest of a count folded by hand
+      continueManualCount(true);
+      return;
     }
-  }, [svgState, isAnimating, revealFortuneAndCallback]);
+    game.play(target);
+  }, [game, isAnimating]);
+
+  // Latest move duration, read by the running animation
+  const moveDurationRef = useRef(moveDurationMs);
+  moveDurationRef.current = moveDurationMs > 0 ? moveDurationMs : DEFAULT_MOVE_DURATION_MS;
 
-  const startAnimation = useCallback((numAnimations, turn) => {
+  // Fold the teller `numAnimations` times from `fromState` and settle on `endState`,
+  // lighting up one counting token per move. A count folded by hand plays moves
+  // `from` + 1 to `to` at a time and stops on the folding shape in between.
+  const startAnimation = useCallback((numAnimations, turn, fromState, endState, tokens, from = 0, to = numAnimations) => {
     setIsAnimating(true);
-    let count = 1;
-    
-    const animate = () => {
-      if (count >= numAnimations) {
-        // Animation complete - show state with numbers
-        if (turn === 1) {
-          // After first animation sequence
-          setSvgState(count % 2 === 0 ? SVG_STATES.HORIZONTAL_NUMS : SVG_STATES.VERTICAL_NUMS);
-        } else {
-          // After second animation sequence - show fully opened
-          setSvgState(SVG_STATES.OPENED);
+    setCounting({ tokens, current: from });
+    if (from === 0) emitEvent(GAME_EVENTS.ANIMATION_STARTED, { turn, moves: numAnimations });
+    const reduceMotion = prefersReducedMotion();
+    let startTime = null;
+    let lastMove = 0;
+
+    const animate = (now) => {
+      if (startTime === null) startTime = now;
+      const duration = moveDurationRef.current;
+      const elapsed = now - startTime;
+
+      if (elapsed >= (to - from) * duration) {
+        animationRef.current = null;
+        setFoldTransform(null);
+        if (to < numAnimations) {
+          // Wait for the next move by hand
+          setSvgState(getMoveShape(to, fromState));
+          setIsAnimating(false);
+          return;
         }
+        // Animation complete
+        setCounting(null);
+        setSvgState(endState);
         setIsAnimating(false);
+        emitEvent(GAME_EVENTS.ANIMATION_ENDED, { turn, moves: numAnimations, state: endState });
         return;
       }
 
-      // Toggle between horizontal and vertical
-      setSvgState(prev => {
-        if (prev === SVG_STATES.CLOSED || prev === SVG_STATES.VERTICAL || prev === SVG_STATES.VERTICAL_NUMS) {
-          return SVG_STATES.HORIZONTAL;
-        }
-        return SVG_STATES.VERTICAL;
-      });
+      const move = from + Math.floor(elapsed / duration) + 1;
+      const progress = (elapsed - (move - from - 1) * duration) / duration;
+      const moveFrom = move === 1 ? fromState : getMoveShape(move - 1, fromState);
+      const moveTo = getMoveShape(move, fromState);
+      if (move !== lastMove) {
+        lastMove = move;
+        setCounting(prev => prev && { ...prev, current: move });
+        giveFeedback(SOUNDS.FLIP, HAPTIC_STYLES.SELECTION);
+      }
+
+      if (reduceMotion) {
+        setSvgState(moveTo);
+      } else {
+        const frame = getFoldFrame(moveFrom, moveTo, progress);
+        setSvgState(frame.state);
+        setFoldTransform(frame.transform);
+      }
 
-      count++;
-      animationRef.current = setTimeout(animate, 400);
+      animationRef.current = requestAnimationFrame(animate);
     };
 
-    // Start first animation
-    setSvgState(SVG_STATES.VERTICAL);
-    animationRef.current = setTimeout(animate, 400);
+    animationRef.current = requestAnimationFrame(animate);
+  }, [emitEvent, giveFeedback]);
+
+  // An automatic flap stage opens a flap by itself once the teller has settled:
+  // any of the 8 when opened, otherwise one of the numbers shown. A flow that starts
+  // there waits while a play limit applies.
+  useEffect(() => {
+    if (!isAutoFlap || isLimited || isAnimating || isFoldingByHand || revealedFortune) return undefined;
+    const timer = setTimeout(() => {
+      try {
+        game.openFlap();
+      } catch (e) {
+        // A missing outcome fortune has already been sent as outcomeFailed
+      }
+    }, AUTO_FLAP_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [game, isAutoFlap, isLimited, isAnimating, isFoldingByHand, revealedFortune, svgState]);
+
+  // A new flow before the first pick starts from its own first stage (a controlled
+  // game is moved there by the host)
+  useEffect(() => {
+    if (isControlled || currentTurn !== 0 || revealedFortune || shown.state === initialState) return;
+    game.setState({ ...shown, state: initialState });
+  }, [game, isControlled, shown, currentTurn, revealedFortune, initialState]);
+
+  // Fold the next move of a count done by hand, or `all` that are left.
+  // Returns the move folded up to, or null when no count is waiting.
+  const continueManualCount = useCallback((all) => {
+    const count = manualCountRef.current;
+    if (!count) return null;
+    const to = all ? count.moves : count.done + 1;
+    if (to >= count.moves) {
+      manualCountRef.current = null;
+      setIsFoldingByHand(false);
+    } else {
+      manualCountRef.current = { ...count, done: to };
+    }
+    startAnimation(count.moves, count.turn, count.fromState, count.endState, count.tokens, count.done, to);
+    return to;
+  }, [startAnimation]);
+
+  // Drop a move in progress, for a game that went somewhere else
+  const stopMotion = useCallback(() => {
+    if (animationRef.current) {
+      cancelAnimationFrame(animationRef.current);
+      animationRef.current = null;
+    }
+    manualCountRef.current = null;
+    setIsAnimating(false);
+    setIsFoldingByHand(false);
+    setFoldTransform(null);
+    setCounting(null);
   }, []);
 
+  // Follow the game to its new state: a new count folds the teller there (by hand with
+  // the `gestures` feature), anything else (a reveal, a reset, a restore) shows at once
+  const previousShownRef = useRef(shown);
+  useLayoutEffect(() => {
+    const previous = previousShownRef.current;
+    previousShownRef.current = shown;
+    if (isSameGameState(previous, shown)) return;
+    stopMotion();
+    const { count } = shown;
+    if (count && count.turn === shown.turn && shown.turn === previous.turn + 1 && !shown.revealedFortune) {
+      if (enabled.gestures && count.moves > 0) {
+        // The player folds the teller, one gesture per move
+        manualCountRef.current = { ...count, done: 0, endState: shown.state };
+        setIsFoldingByHand(true);
+        setCounting({ tokens: count.tokens, current: 0 });
+        return;
+      }
+      startAnimation(count.moves, count.turn, count.fromState, shown.state, count.tokens);
+      return;
+    }
+    setSvgState(shown.state);
+  }, [shown, enabled.gestures, stopMotion, startAnimation]);
+
+  // Gestures on the teller: pinch, spread or swipe folds a move of the count,
+  // dragging a flap at the final pick lifts it. Read through a ref, like onEvent.
+  const gestureActionsRef = useRef(null);
+  gestureActionsRef.current = {
+    fold: (gesture) => {
+      if (isAnimating) return;
+      const moves = manualCountRef.current && manualCountRef.current.moves;
+      const move = continueManualCount(false);
+      if (move !== null) emitEvent(GAME_EVENTS.GESTURE, { gesture, move, moves });
+    },
+    drag: (shapeId) => {
+      if (isAnimating || stage.input !== STAGE_INPUTS.FLAP || isAutoFlap) return false;
+      const geometry = getStateGeometry(svgState);
+      const shape = geometry.interactive && [...geometry.flaps, ...geometry.triangles]
+        .find(candidate => candidate.id === shapeId && candidate.target);
+      if (!shape || shape.target.kind !== (stage.from === 'shown' ? 'number' : 'flap')) return false;
+      emitEvent(GAME_EVENTS.GESTURE, { gesture: 'drag', flapNumber: shape.target.number });
+      handleFlapClick(shape.target);
+      return true;
+    },
+  };
+  const [gestures] = useState(() => createGestureRecognizer({
+    onPinch: (kind) => gestureActionsRef.current.fold(kind),
+    onSwipe: () => gestureActionsRef.current.fold('swipe'),
+    onDrag: (shapeId) => gestureActionsRef.current.drag(shapeId),
+  }));
+
+  // Tell the host the game is on screen (once, even under StrictMode remounts)
+  const hasSentReady = useRef(false);
+  useEffect(() => {
+    if (hasSentReady.current) return;
+    hasSentReady.current = true;
+    emitEvent(GAME_EVENTS.READY, { state: svgState });
+    if (restored) {
+      emitEvent(GAME_EVENTS.RESUMED, {
+        state: restored.state,
+        turn: restored.turn,
+        revealedFortune: restored.revealedFortune,
+      });
+    }
+  }, [emitEvent, svgState, restored]);
+
+  // Snapshot the game whenever it comes to rest somewhere new. A running animation
+  // is saved as its end state, so a reload mid-move skips to where it was going.
+  const restingState = shown.state;
+  const hasSnapshotted = useRef(false);
+  useEffect(() => {
+    if (!resume) return;
+    // The host already knows the state the game started in
+    const isFirst = !hasSnapshotted.current;
+    hasSnapshotted.current = true;
+    const snapshot = restingState === initialState && currentTurn === 0
+      ? null // nothing to resume
+      : createSnapshot({
+        state: restingState,
+        turn: currentTurn,
+        selection: shown.selection,
+        revealedFortune,
+        sessionId,
+      });
+    if (resume === RESUME_TARGETS.SESSION) {
+      saveSessionSnapshot(getSnapshotKey(storageKey), snapshot);
+    } else if (resume === RESUME_TARGETS.HOST && !isFirst) {
+      emitEvent(GAME_EVENTS.GAME_SNAPSHOT, { snapshot });
+    }
+  }, [resume, restingState, initialState, currentTurn, shown.selection, revealedFortune, sessionId, storageKey, emitEvent]);
+
   useEffect(() => {
     return () => {
       if (animationRef.current) {
-        clearTimeout(animationRef.current);
+        cancelAnimationFrame(animationRef.current);
+      }
+      if (autoResetRef.current) {
+        clearTimeout(autoResetRef.current);
+      }
+      soundPlayer.close();
+    };
+  }, [soundPlayer]);
+
+  // Back to the first stage, ready for another game.
+  // `reason` tells the host what triggered it: 'playAgain', 'retry', 'auto', 'host' or 'api'.
+  const reset = useCallback((reason = 'api') => {
+    if (autoResetRef.current) {
+      clearTimeout(autoResetRef.current);
+      autoResetRef.current = null;
+    }
+    setHoveredFlap(null);
+    game.reset(reason);
+  }, [game]);
+
+  // Start over by itself some time after the reveal (kiosk mode)
+  useEffect(() => {
+    if (!revealedFortune || !autoResetAfterMs || autoResetAfterMs <= 0) return undefined;
+    autoResetRef.current = setTimeout(() => {
+      autoResetRef.current = null;
+      reset('auto');
+    }, autoResetAfterMs);
+    return () => {
+      if (autoResetRef.current) {
+        clearTimeout(autoResetRef.current);
+        autoResetRef.current = null;
       }
     };
+  }, [revealedFortune, autoResetAfterMs, reset]);
+
+  // Picks made by the host (the ref or the bridge) wait for the teller to settle,
+  // including a count the core took since this render
+  const whenSettled = (what, pick) => {
+    if (isAnimating || isFoldingByHand || game.getState().turn > currentTurn) {
+      throw new Error(`Cannot ${what} while the teller is moving`);
+    }
+    pick();
+  };
+
+  const getGameState = () => {
+    const settled = !isAnimating && !isFoldingByHand;
+    const current = game.getState();
+    return {
+      state: svgState,
+      turn: currentTurn,
+      stage,
+      selection: shown.selection,
+      isAnimating,
+      foldingByHand: isFoldingByHand,
+      availableColors: settled ? current.availableColors : [],
+      availableNumbers: settled ? current.availableNumbers : [],
+      revealedFortune,
+      seed: isValidSeed(activeSeed) ? activeSeed : null,
+      playLimit: getCurrentLimit(),
+      muted: activeMuted,
+      packId: packContent.id || null,
+    };
+  };
+
+  // The game driven from the host's own UI, as if the player tapped.
+  // Read through a ref so the handle always sees the latest state.
+  const controllerRef = useRef(null);
+  controllerRef.current = {
+    selectColor: (color) => whenSettled('select a color', () => game.selectColor(color)),
+    selectNumber: (number) => whenSettled(`select number ${number}`, () => game.selectNumber(number)),
+    openFlap: (flap) => whenSettled('open a flap', () => game.openFlap(flap)),
+    getState: getGameState,
+  };
+
+  useImperativeHandle(ref, () => ({
+    selectColor: (color) => controllerRef.current.selectColor(color),
+    selectNumber: (number) => controllerRef.current.selectNumber(number),
+    openFlap: (flap) => controllerRef.current.openFlap(flap),
+    reset: () => reset('api'),
+    getState: () => controllerRef.current.getState(),
+    getHistory: () => historyRef.current.slice(),
+    clearHistory: () => updateHistory([], true),
+  }), [reset, updateHistory]);
+
+  // Commands from the React Native host
+  const handleBridgeCommand = (command, payload) => {
+    switch (command) {
+      case BRIDGE_COMMANDS.RESET:
+        reset('host');
+        return { state: initialState };
+
+      case BRIDGE_COMMANDS.SET_FORTUNES: {
+        const problems = validateFortunes(payload.fortunes);
+        if (problems.length) throw new Error(problems.join('; '));
+        if (payload.mapping && !Object.values(FORTUNE_MAPPING).includes(payload.mapping)) {
+          throw new Error(`Unknown mapping "${payload.mapping}"`);
+        }
+        if (payload.winProbability !== undefined && !isValidWinProbability(payload.winProbability)) {
+          throw new Error('winProbability must be a number from 0 to 1');
+        }
+        // The outcome the host decided on must still be playable
+        if (activeOutcome && validateOutcome(activeOutcome, payload.fortunes).length) {
+          throw new Error(`The fortunes do not include the outcome fortune "${activeOutcome.fortuneId}"`);
+        }
+        setHostContent({
+          fortunes: payload.fortunes,
+          mapping: payload.mapping,
+          winProbability: payload.winProbability,
+        });
+        return { count: getFortuneEntries(payload.fortunes).length };
+      }
+
+      case BRIDGE_COMMANDS.LOAD_PACK: {
+        // A pack object, or the URL of one. An invalid pack leaves the content as it was.
+        if (!payload.pack && !payload.url) throw new Error('loadPack needs a pack or a url');
+        return loadPack(payload.pack || String(payload.url)).then(loaded => {
+          // The pack replaces fortunes sent with setFortunes
+          setHostContent({});
+          applyPack(loaded, 'host');
+          return { packId: loaded.id, version: loaded.version, count: loaded.fortunes.length };
+        });
+      }
+
+      case BRIDGE_COMMANDS.SET_THEME: {
+        // A theme object, optionally with the `colors` / `labels` shortcuts
+        const { colors: newColors, labels: newLabels, ...newTheme } = payload;
+        const problems = validateTheme(newTheme);
+        const invalid = Object.entries(newColors || {}).find(([quadrant, color]) =>
+          !QUADRANTS.includes(quadrant) || !isHexColor(color));
+        if (invalid) problems.push(`Invalid color "${invalid[1]}" for "${invalid[0]}"`);
+        const unknownLabel = Object.keys(newLabels || {}).find(quadrant => !QUADRANTS.includes(quadrant));
+        if (unknownLabel) problems.push(`Unknown label quadrant "${unknownLabel}"`);
+        if (problems.length) throw new Error(problems.join('; '));
+
+        setHostTheme(prev => mergeThemes(
+          mergeThemes(prev, newTheme),
+          themeFromShortcuts(newColors, newLabels),
+        ));
+        return null;
+      }
+
+      case BRIDGE_COMMANDS.SET_SEED: {
+        // null goes back to unseeded play
+        if (payload.seed !== null && !isValidSeed(payload.seed)) {
+          throw new Error('seed must be a non-empty string, a number or null');
+        }
+        setHostSeed(payload.seed);
+        return null;
+      }
+
+      case BRIDGE_COMMANDS.SET_OUTCOME: {
+        // { fortuneId, flap? } decides the next reveals; { fortuneId: null } clears it
+        if (payload.fortuneId === null) {
+          setHostOutcome(null);
+          return null;
+        }
+        const problems = validateOutcome(payload, activeFortunes);
+        if (problems.length) throw new Error(problems.join('; '));
+        setHostOutcome({ fortuneId: String(payload.fortuneId), flap: payload.flap });
+        return null;
+      }
+
+      case BRIDGE_COMMANDS.SET_MUTED:
+        if (typeof payload.muted !== 'boolean') throw new Error('muted must be true or false');
+        setHostMuted(payload.muted);
+        return null;
+
+      case BRIDGE_COMMANDS.GET_HISTORY:
+        return {
+          plays: historyRef.current,
+          playsToday: countPlaysToday(historyRef.current),
+          playLimit: getCurrentLimit(),
+        };
+
+      case BRIDGE_COMMANDS.SET_HISTORY: {
+        // The host's saved plays; they replace the current history
+        if (!Array.isArray(payload.plays)) throw new Error('plays must be a list');
+        const plays = sanitizePlays(payload.plays);
+        if (store && store.receive) store.receive(plays);
+        updateHistory(plays, false);
+        return { count: plays.length };
+      }
+
+      case BRIDGE_COMMANDS.RESTORE_GAME: {
+        // A snapshot from an earlier `gameSnapshot` event, before the player has started
+        const snapshot = validateSnapshot(payload.snapshot);
+        if (!snapshot) throw new Error('snapshot is missing, invalid or too old');
+        if (snapshot.turn >= stages.length) throw new Error('snapshot does not fit the game flow');
+        whenSettled('restore a game', () => game.restore(snapshot));
+        return { state: snapshot.state };
+      }
+
+      case BRIDGE_COMMANDS.SELECT_COLOR:
+        controllerRef.current.selectColor(payload.color);
+        return null;
+
+      case BRIDGE_COMMANDS.SELECT_NUMBER:
+        controllerRef.current.selectNumber(payload.number);
+        return null;
+
+      case BRIDGE_COMMANDS.GET_STATE:
+        return getGameState();
+
+      default:
+        throw new Error(`Unsupported command "${command}"`);
+    }
+  };
+
+  // Always dispatch to the latest handler without re-subscribing
+  const bridgeHandlerRef = useRef(handleBridgeCommand);
+  bridgeHandlerRef.current = handleBridgeCommand;
+
+  useEffect(() => {
+    return listenToReactNative((command, payload) => bridgeHandlerRef.current(command, payload));
   }, []);
 
-  const handleMouseOver = useCallback((e, flapId, originalFill) => {
-    setHoveredFlap({ id: flapId, originalFill });
+  // Tap indicators and the fortune are placed from the drawn shapes, once the teller rests
+  const svgRef = useRef(null);
+  const [layout, setLayout] = useState({ state: null, targets: [], fortune: null });
+  useLayoutEffect(() => {
+    if (!isAnimating) setLayout(measureState(svgRef.current, svgState));
+  }, [svgState, isAnimating]);
+  const stateLayout = layout.state === svgState ? layout : null;
+
+  const handleMouseOver = useCallback((flapId) => {
+    setHoveredFlap(flapId);
   }, []);
 
   const handleMouseOut = useCallback(() => {
     setHoveredFlap(null);
   }, []);
 
-  // Get position for fortune text based on flap number
-  const getFortunePosition = (flapNum) => {
-    const positions = {
-      1: { top: '12%', left: '50%' },
-      2: { top: '25%', left: '60%' },
-      3: { top: '50%', left: '60%' },
-      4: { top: '68%', left: '50%' },
-      5: { top: '68%', left: '40%' },
-      6: { top: '50%', left: '35%' },
-      7: { top: '25%', left: '35%' },
-      8: { top: '12%', left: '42%' },
-    };
-    return positions[flapNum] || { top: '50%', left: '50%' };
+  // Fortune text under the lifted flap, plus the tooltip pill
+  const getFortuneReveal = () => {
+    if (!revealedFortune) return null;
+
+    const { outcome: result, title, body, image, cta } = revealedFortune;
+    const { text, emoji } = splitFortuneEmoji(revealedFortune.text, OUTCOME_EMOJI[result]);
+    // A title, body, image or button turns the pill into a card
+    const isRich = Boolean(title || body || image || cta);
+    // In the room the lifted flap leaves; centered until it is measured
+    const room = stateLayout && stateLayout.fortune;
+    const position = room
+      ? {
+        left: toPercent(room.x + room.width / 2, VIEWPORT.width),
+        top: toPercent(room.y + room.height / 2, VIEWPORT.height),
+        maxWidth: toPercent(room.width * 0.9, VIEWPORT.width),
+      }
+      : { left: '50%', top: '50%' };
+    // A retry always offers another game
+    const isRetry = result === FORTUNE_OUTCOMES.RETRY;
+
+    return (
+      <>
+        <div
+          className="fortune-under-flap"
+          style={{ ...position, transform: 'translate(-50%, -50%)' }}
+        >
+          {text}
+        </div>
+        {enabled.tooltip && (isRich ? (
+          <div className={`fortune-tooltip fortune-tooltip-${result} fortune-card`}>
+            {image && <img className="fortune-image" src={image.src} alt={image.alt} />}
+            <div className="fortune-content">
+              {title && <strong className="fortune-title">{title}</strong>}
+              {body
+                ? <div className="fortune-body">{renderMarkup(parseMarkup(body))}</div>
+                : <span className="fortune-text">{text}</span>}
+            </div>
+            {cta && (
+              <button type="button" className="fortune-cta" onClick={() => emitEvent(GAME_EVENTS.FORTUNE_ACTION, {
+                fortuneId: revealedFortune.id,
+                action: cta.action,
+                url: cta.url,
+                payload: revealedFortune.payload,
+              })}>
+                {cta.label}
+              </button>
+            )}
+          </div>
+        ) : (
+          <div className={`fortune-tooltip fortune-tooltip-${result}`}>
+            <span className="fortune-emoji">{emoji}</span>
+            <span className="fortune-text">{text}</span>
+          </div>
+        ))}
+        {(enabled.playAgain || isRetry) && (
+          <button
+            type="button"
+            className={`play-again ${isRetry ? 'play-again-retry' : ''}`}
+            autoFocus={keyboardFocusRef.current}
+            onClick={(e) => {
+              // detail is 0 when the button was pressed from the keyboard
+              keyboardFocusRef.current = e.detail === 0;
+              reset(isRetry ? 'retry' : 'playAgain');
+            }}
+          >
+            {isRetry ? catalog.retry : catalog.playAgain}
+          </button>
+        )}
+      </>
+    );
+  };
+
+  // Numbers that open flaps (a flap stage from the numbers shown) get the reveal hint.
+  // The game needs no hint when it opens the flap itself.
+  const opensFlaps = stage.input === STAGE_INPUTS.FLAP && stage.from === 'shown';
+  const hintKey = isAutoFlap ? null : HINT_BY_INPUT[stage.input];
+
+  // Text for the live region: the hint, the count while moving, then the fortune
+  const getAnnouncement = () => {
+    if (revealedFortune) {
+      const { text, body } = revealedFortune;
+      return [formatMessage(catalog.a11y.fortune, { text }), body && markupToText(body)].filter(Boolean).join(' ');
+    }
+    if (counting) {
+      const token = counting.tokens.find(t => t.step === counting.current);
+      if (token) return token.text;
+      return isFoldingByHand && !isAnimating ? getHint('gesture') : '';
+    }
+    if (isAnimating) return '';
+    if (isLimited) return getLimitText();
+    return hintKey ? getHint(hintKey) : '';
+  };
+
+  // Word being spelled (or number being counted) while the teller moves
+  const getCountingOverlay = () => {
+    if (!counting) return null;
+    return (
+      <div className="counting-overlay" aria-hidden="true">
+        {counting.tokens.map((token, index) => {
+          const status = token.step === null ? ''
+            : token.step === counting.current ? 'counting-token-active'
+            : token.step < counting.current ? 'counting-token-done'
+            : '';
+          return (
+            <span key={index} className={`counting-token ${status}`}>
+              {token.text}
+            </span>
+          );
+        })}
+      </div>
+    );
   };
 
-  // Get tap indicator positions based on current state
+  // Tap indicators on the hit areas of the current state, plus the hint
   const getTapIndicators = () => {
-    if (isAnimating || revealedFortune) return null;
-    
-    const stateKey = svgState === SVG_STATES.CLOSED ? 'closed' 
-      : svgState === SVG_STATES.HORIZONTAL_NUMS ? 'horizontalNums'
-      : svgState === SVG_STATES.VERTICAL_NUMS ? 'verticalNums'
-      : svgState === SVG_STATES.OPENED ? 'opened'
-      : null;
-    
-    if (!stateKey || !TAP_POSITIONS[stateKey]) return null;
-    
-    const positions = TAP_POSITIONS[stateKey];
-    const hint = positions.find(p => p.hint)?.hint;
-    const isNumberState = stateKey === 'horizontalNums' || stateKey === 'verticalNums';
-    
-    // Filter positions that have actual coordinates (top/left)
-    const thumbPositions = positions.filter(pos => pos.top && pos.left);
-    
+    if (isAnimating || revealedFortune || isAutoFlap) return null;
+    if (isFoldingByHand) {
+      // Above the count, which takes the bottom of the box
+      const gestureHint = enabled.hint && getHint('gesture');
+      return gestureHint ? <div className="tap-hint gesture-hint" aria-hidden="true">{gestureHint}</div> : null;
+    }
+    if (isLimited) return <div className="play-limit" aria-hidden="true">{getLimitText()}</div>;
+    if (!getStateGeometry(svgState).interactive) return null;
+
+    const hint = enabled.hint && getHint(hintKey);
+    const isNumberState = svgState === SVG_STATES.HORIZONTAL_NUMS || svgState === SVG_STATES.VERTICAL_NUMS;
+
+    // None on the opened teller: eight flaps are too many to mark, the hint says it
+    const thumbPositions = enabled.tapIndicators && stateLayout && svgState !== SVG_STATES.OPENED
+      ? stateLayout.targets
+      : [];
+
     return (
       <>
         {thumbPositions.map((pos, index) => (
-          <div 
+          <div
             key={index}
             className={`tap-indicator ${isNumberState ? 'tap-indicator-small' : ''}`}
+            aria-hidden="true"
             style={{
-              top: pos.top,
-              left: pos.left,
+              top: toPercent(pos.y, VIEWPORT.height),
+              left: toPercent(pos.x, VIEWPORT.width),
               transform: 'translate(-50%, -50%)'
             }}
           >
@@ -254,768 +1128,230 @@ export default function PaperFortune({ fortunes = DEFAULT_FORTUNES, onFortuneRev
             </div>
           </div>
         ))}
-        {hint && <div className="tap-hint">{hint}</div>}
+        {/* Announced through the live region */}
+        {hint && <div className="tap-hint" aria-hidden="true">{hint}</div>}
       </>
     );
   };
 
   return (
-    <div className="paper-fortune-container">
-      <div className={`origami-wrapper ${isAnimating ? 'animating' : ''}`}>
-        <OrigamiSVG 
-          state={svgState} 
+    <div className="paper-fortune-container" lang={localeTag} dir={direction} style={getThemeVars(activeTheme)}>
+      <div
+        className={`origami-wrapper ${isAnimating ? 'animating' : ''} ${isLimited ? 'limited' : ''} ${enabled.gestures ? 'gestures' : ''}`}
+        style={foldTransform ? { transform: foldTransform } : undefined}
+        {...(enabled.gestures && {
+          onPointerDown: gestures.onPointerDown,
+          onPointerMove: gestures.onPointerMove,
+          onPointerUp: gestures.onPointerUp,
+          onPointerCancel: gestures.onPointerCancel,
+          onPointerLeave: gestures.onPointerLeave,
+          // The click that ends a gesture is not a tap
+          onClickCapture: (e) => {
+            if (gestures.didGesture()) e.stopPropagation();
+          },
+          // A tap beside the hit areas also counts out the rest of a count
+          onClick: () => {
+            if (!isAnimating) continueManualCount(true);
+          },
+        })}
+      >
+        <OrigamiSVG
+          svgRef={svgRef}
+          state={svgState}
+          theme={activeTheme}
           onFlapClick={handleFlapClick}
           hoveredFlap={hoveredFlap}
           onMouseOver={handleMouseOver}
           onMouseOut={handleMouseOut}
+          keyboardFocusRef={keyboardFocusRef}
+          disabled={isLimited || isAutoFlap}
+          catalog={catalog}
+          locale={localeTag}
+          opensFlaps={opensFlaps}
         />
         {getTapIndicators()}
+        {getCountingOverlay()}
+        {getFortuneReveal()}
+      </div>
+      <div className="sr-only" role="status" aria-live="polite" aria-atomic="true">
+        {getAnnouncement()}
       </div>
     </div>
   );
-}
+});
 
-// SVG Component that renders based on state
-function OrigamiSVG({ state, onFlapClick, hoveredFlap, onMouseOver, onMouseOut }) {
-  const createClickHandler = (flapId, fill) => (e) => {
-    e.stopPropagation();
-    onFlapClick(flapId, fill);
-  };
+// Accessible name of a hit area: the color name capitalized, or the number or flap
+const getTargetLabel = (target, theme, opensFlaps, catalog, locale) => {
+  if (target.kind === 'color') {
+    const [first = '', ...rest] = splitGraphemes(theme.quadrants[target.quadrant].name, locale);
+    return first.toLocaleUpperCase(locale) + rest.join('');
+  }
+  const template = target.kind === 'number' && !opensFlaps ? catalog.a11y.number : catalog.a11y.flap;
+  return formatMessage(template, { number: target.number });
+};
+
+// Draws any state from its geometry (see geometry.js).
+// Hit areas are buttons with a roving tabindex: Tab enters the teller on one of
+// them, arrow keys move between them and Enter or Space picks one.
+function OrigamiSVG({
+  svgRef,
+  state,
+  theme,
+  onFlapClick,
+  hoveredFlap,
+  onMouseOver,
+  onMouseOut,
+  keyboardFocusRef,
+  disabled,
+  opensFlaps,
+  catalog,
+  locale,
+}) {
+  const geometry = getStateGeometry(state);
+  const { numbers, words } = theme;
+  const targets = geometry.interactive
+    ? [...geometry.flaps, ...geometry.triangles].filter(shape => shape.target)
+    : [];
+  const [focusIndex, setFocusIndex] = useState(0);
+  const targetRefs = useRef([]);
 
-  const getHoverFill = (flapId, originalFill) => {
-    if (hoveredFlap && hoveredFlap.id === flapId) {
-      return getDarkerShade(originalFill);
+  // A new state starts at its first hit area; focus it if the player is on the keyboard
+  useEffect(() => {
+    setFocusIndex(0);
+    if (geometry.interactive && keyboardFocusRef.current && targetRefs.current[0]) {
+      targetRefs.current[0].focus();
+    }
+  }, [state, geometry.interactive, keyboardFocusRef]);
+
+  const handleKeyDown = (e, shape) => {
+    const index = targets.indexOf(shape);
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      keyboardFocusRef.current = true;
+      onFlapClick(shape.target);
+      return;
     }
-    return originalFill;
+    const step = ARROW_STEPS[e.key];
+    const next = e.key === 'Home' ? 0
+      : e.key === 'End' ? targets.length - 1
+      : step !== undefined ? (index + step + targets.length) % targets.length
+      : null;
+    if (next === null) return;
+    e.preventDefault();
+    setFocusIndex(next);
+    targetRefs.current[next].focus();
   };
 
-  switch (state) {
-    case SVG_STATES.CLOSED:
-      return <ClosedSVG onFlapClick={createClickHandler} getHoverFill={getHoverFill} onMouseOver={onMouseOver} onMouseOut={onMouseOut} />;
-    case SVG_STATES.HORIZONTAL:
-      return <HorizontalSVG />;
-    case SVG_STATES.VERTICAL:
-      return <VerticalSVG />;
-    case SVG_STATES.HORIZONTAL_NUMS:
-      return <HorizontalNumsSVG onFlapClick={createClickHandler} getHoverFill={getHoverFill} onMouseOver={onMouseOver} onMouseOut={onMouseOut} />;
-    case SVG_STATES.VERTICAL_NUMS:
-      return <VerticalNumsSVG onFlapClick={createClickHandler} getHoverFill={getHoverFill} onMouseOver={onMouseOver} onMouseOut={onMouseOut} />;
-    case SVG_STATES.OPENED:
-      return <OpenedSVG onFlapClick={createClickHandler} getHoverFill={getHoverFill} onMouseOver={onMouseOver} onMouseOut={onMouseOut} />;
-    case 'flap1':
-      return <Flap1OpenedSVG />;
-    case 'flap2':
-      return <Flap2OpenedSVG />;
-    case 'flap3':
-      return <Flap3OpenedSVG />;
-    case 'flap4':
-      return <Flap4OpenedSVG />;
-    case 'flap5':
-      return <Flap5OpenedSVG />;
-    case 'flap6':
-      return <Flap6OpenedSVG />;
-    case 'flap7':
-      return <Flap7OpenedSVG />;
-    case 'flap8':
-      return <Flap8OpenedSVG />;
-    default:
-      return <ClosedSVG onFlapClick={createClickHandler} getHoverFill={getHoverFill} onMouseOver={onMouseOver} onMouseOut={onMouseOut} />;
-  }
-}
+  const renderShape = (shape, index) => {
+    // Colors go through style so the --pf-<quadrant> properties apply
+    const fill = resolveColorVar(shape.fill, theme);
+    const stroke = resolveColorVar(shape.stroke, theme);
+    const strokeWidth = stroke ? CREASE_WIDTH : undefined;
+    const isTarget = geometry.interactive && shape.target;
 
-// Closed SVG
-function ClosedSVG({ onFlapClick, getHoverFill, onMouseOver, onMouseOut }) {
-  return (
-    <svg width="456" height="437" viewBox="0 0 456 437" fill="none" xmlns="http://www.w3.org/2000/svg">
-      <g id="upper-left-flap-d">
-        <path id="upper-left-flap" d="M2.0 1.9C14.5 -8.6 223.5 28.4 223.5 28.4V213.0H38.5C38.5 213.0 -10.5 12.3 2.0 1.9Z" fill="#EF476F"/>
-        <path 
-          id="upper-left-click" 
-          d="M2.0 1.9C14.5 -8.6 223.5 28.4 223.5 28.4V213.0H38.5C38.5 213.0 -10.5 12.3 2.0 1.9Z" 
-          fill={getHoverFill('upper-left-click', '#EF476F')}
-          onClick={onFlapClick('upper-left-click', '#EF476F')}
-          onMouseOver={(e) => onMouseOver(e, 'upper-left-click', '#EF476F')}
-          onMouseOut={onMouseOut}
-          style={{ cursor: 'pointer' }}
-        />
-        <line x1="3.7" y1="1.8" x2="222.7" y2="211.8" stroke="#962B44" strokeWidth="2"/>
-      </g>
-      <g id="lower-left-flap-d">
-        <path id="lower-left-flap" d="M12.4 433.9C2.0 421.4 38.9 212.4 38.9 212.4H223.6V397.4C223.6 397.4 22.8 446.4 12.4 433.9Z" fill="#06D6A0"/>
-        <path 
-          id="lower-left-click" 
-          d="M12.4 433.9C2.0 421.4 38.9 212.4 38.9 212.4H223.6V397.4C223.6 397.4 22.8 446.4 12.4 433.9Z" 
-          fill={getHoverFill('lower-left-click', '#06D6A0')}
-          onClick={onFlapClick('lower-left-click', '#06D6A0')}
-          onMouseOver={(e) => onMouseOver(e, 'lower-left-click', '#06D6A0')}
-          onMouseOut={onMouseOut}
-          style={{ cursor: 'pointer' }}
-        />
-        <line x1="222.7" y1="213.2" x2="13.3" y2="433.7" stroke="#00664C" strokeWidth="2.0"/>
-      </g>
-      <g id="upper-right-flap-d">
-        <path id="upper-right-flap" d="M445.1 2.2C432.6 -8.2 223.6 28.7 223.6 28.7V213.4H408.6C408.6 213.4 457.6 12.6 445.1 2.2Z" fill="#118AB2"/>
-        <path 
-          id="upper-right-click" 
-          d="M445.1 2.2C432.6 -8.2 223.6 28.7 223.6 28.7V213.4H408.6C408.6 213.4 457.6 12.6 445.1 2.2Z" 
-          fill={getHoverFill('upper-right-click', '#118AB2')}
-          onClick={onFlapClick('upper-right-click', '#118AB2')}
-          onMouseOver={(e) => onMouseOver(e, 'upper-right-click', '#118AB2')}
-          onMouseOut={onMouseOut}
-          style={{ cursor: 'pointer' }}
+    if (!isTarget) {
+      return (
+        <path
+          key={shape.id || index}
+          id={shape.id}
+          d={shape.d}
+          style={{ fill: fill || 'none', stroke }}
+          strokeWidth={strokeWidth}
+          transform={shape.transform}
         />
-        <path d="M445.0 2.4L222.5 213.1" stroke="#094559" strokeWidth="2.0"/>
-      </g>
-      <g id="lower-right-flap-d">
-        <path id="lower-right-flap" d="M434.7 434.2C445.1 421.7 408.2 212.704 408.212 212.7H223.5V397.7C223.5 397.7 424.2 446.7 434.7 434.2Z" fill="#FFD166"/>
-        <path 
-          id="lower-right-click" 
-          d="M434.7 434.205C445.1 421.7 408.2 212.7 408.2 212.7H223.5V397.7C223.5 397.7 424.2 446.7 434.7 434.2Z" 
-          fill={getHoverFill('lower-right-click', '#FFD166')}
-          onClick={onFlapClick('lower-right-click', '#FFD166')}
-          onMouseOver={(e) => onMouseOver(e, 'lower-right-click', '#FFD166')}
-          onMouseOut={onMouseOut}
-          style={{ cursor: 'pointer' }}
-        />
-        <line x1="222.7" y1="211.8" x2="437.7" y2="434" stroke="#917535" strokeWidth="2"/>
-      </g>
-    </svg>
-  );
-}
-
-// Horizontal SVG (animation frame)
-function HorizontalSVG() {
-  return (
-    <svg width="456" height="461" viewBox="0 0 456 461" fill="none" xmlns="http://www.w3.org/2000/svg">
-      <g id="Top-Right-Flap">
-        <path d="M2.04 2.20C14.54 -8.21 223.54 28.70 223.54 28.70V213.37H38.54C38.54 213.37 -10.45 12.62 2.04 2.20Z" fill="#EF476F"/>
-        <path d="M3.69 2.13L222.69 212.13" stroke="#962B44" strokeWidth="2"/>
-        <path d="M137 141.35L224.31 78.35L224.31 213.19L40.20 214.78L137 141.35Z" fill="#962B44"/>
-      </g>
-      <g id="Top-Left-Flap">
-        <path d="M446.06 2.56C433.56 -7.86 224.56 29.05 224.56 29.05V213.73H409.56C409.56 213.73 458.56 12.97 446.06 2.56Z" fill="#118AB2"/>
-        <path d="M224 28.35L224 210.35" stroke="#962B44" strokeWidth="2"/>
-        <path d="M445.00 2.77L222.45 213.5" stroke="#094559" strokeWidth="2.00"/>
-        <path d="M309.46 140.69L224.91 77.55L225.02 212.23L408.97 213.56L309.46 140.69Z" fill="#073E51"/>
-      </g>
-      <g id="Bottom-Right-Flap">
-        <path d="M12.85 433.85C2.43 421.35 39.35 212.35 39.35 212.35H224.02V397.35C224.02 397.35 23.26 446.35 12.85 433.85Z" fill="#06D6A0"/>
-        <line x1="223.19" y1="214.19" x2="13.71" y2="434.74" stroke="#00664C" strokeWidth="2.00"/>
-        <path d="M140.04 281.41L224.52 341.35L224.52 210.92L39.77 210.50L140.04 281.41Z" fill="#00664C"/>
-        <line x1="222.00" y1="211.34" x2="224.00" y2="399.34" stroke="#00664C" strokeWidth="2.00"/>
-      </g>
-      <g id="Bottom-Left-Flap">
-        <path d="M435.2 435.2C445.6 422.7 408.7 213.7 408.7 213.7H224V398.7C224 398.7 424.8 447.7 435.2 435.2Z" fill="#FFD166"/>
-        <line x1="223.2" y1="212.8" x2="438.2" y2="435.8" stroke="#917535" strokeWidth="2"/>
-        <path d="M308.0 282.4L222.2 342.5L224.6 211.0L409.0 213.0L308.0 282.4Z" fill="#917535"/>
-      </g>
-    </svg>
-  );
-}
-
-// Vertical SVG (animation frame)
-function VerticalSVG() {
-  return (
-    <svg width="461" height="456" viewBox="0 0 461 456" fill="none" xmlns="http://www.w3.org/2000/svg">
-      <g id="Group 1">
-        <path d="M1.9 453.3C-8.6 440.8 28.4 231.8 28.4 231.8L213.0 231.8L213.0 416.8C213.0 416.8 12.3 465.8 1.9 453.3Z" fill="#06D6A0"/>
-        <path d="M1.8 451.7L211.8 232.7" stroke="#00664C" strokeWidth="2"/>
-        <path d="M127.4 320.4L54.0 233.1L213.0 233.1L213.0 417.1L127.4 320.4Z" fill="#00664C"/>
-      </g>
-      <g id="Group 2">
-        <path d="M2.2 9.3C-8.2 21.8 28.7 230.8 28.7 230.8L213.4 230.8L213.4 45.8C213.4 45.8 12.6 -3.2 2.2 9.3Z" fill="#EF476F"/>
-        <path d="M28.0 231.4L210.0 231.4" stroke="#EF476F" strokeWidth="2"/>
-      </g>
-      <path d="M2.4 10.3L213.1 232.9" stroke="#962B44" strokeWidth="2.0"/>
-      <path d="M433.5 442.5C421.0 452.9 212.0 416.0 212.0 416.0L212.0 231.3L397.0 231.3C397.0 231.3 446.0 432.1 433.5 442.5Z" fill="#FFD166"/>
-      <path d="M434.9 20.2C422.4 9.8 213.4 46.7 213.4 46.7L213.4 231.4L398.4 231.4C398.4 231.4 447.4 30.6 434.9 20.2Z" fill="#118AB2"/>
-      <line x1="212.5" y1="232.2" x2="435.5" y2="17.2" stroke="#094559" strokeWidth="2"/>
-      <line x1="213.8" y1="232.2" x2="434.4" y2="441.6" stroke="#987B38" strokeWidth="2.0"/>
-      <line x1="211.0" y1="232.4" x2="399.0" y2="232.4" stroke="#00664C" strokeWidth="2.0"/>
-      <path d="M127.4 144.8L54 233L213 233L213 47L127.4 144.8Z" fill="#962B44"/>
-      <path d="M298.6 147.9L371 233H213V47L298.6 147.9Z" fill="#094559"/>
-      <path d="M298.7 317.1L371.1 233H213V416.9L298.7 317.1Z" fill="#917535"/>
-    </svg>
-  );
-}
-
-// Horizontal with numbers SVG
-function HorizontalNumsSVG({ onFlapClick, getHoverFill, onMouseOver, onMouseOut }) {
-  return (
-    <svg width="456" height="461" viewBox="0 0 456 461" fill="none" xmlns="http://www.w3.org/2000/svg">
-      <g id="Group 1">
-        <path d="M2.04 1.85C14.54 -8.56 223.54 28.35 223.54 28.35V213.02H38.54C38.54 213.02 -10.46 12.26 2.04 1.85Z" fill="#EF476F"/>
-      </g>
-      <g id="Group 2">
-        <path d="M446.06 2.20C433.56 -8.21 224.56 28.70 224.56 28.70V213.37H409.56C409.56 213.37 458.56 12.62 446.06 2.20Z" fill="#118AB2"/>
-        <path d="M224 28L224 210" stroke="#962B44" strokeWidth="2"/>
-      </g>
-      <path d="M445.00 2.42L222.45 213.14" stroke="#094559" strokeWidth="2.00"/>
-      <path d="M3.69 1.78L222.69 211.78" stroke="#962B44" strokeWidth="2"/>
-      <path 
-        id="1-click" 
-        d="M309.46 140.34L224.91 77.20L225.02 211.88L408.97 213.20L309.46 140.34Z" 
-        fill={getHoverFill('1-click', '#073E51')}
-        onClick={onFlapClick('1-click', '#073E51')}
-        onMouseOver={(e) => onMouseOver(e, '1-click', '#073E51')}
-        onMouseOut={onMouseOut}
-        style={{ cursor: 'pointer' }}
-      />
-      <path d="M137 141L224.31 78L224.31 212.83L40.20 214.43L137 141Z" fill="#962B44"/>
-      <path 
-        id="7-click" 
-        d="M137 141L224.31 78L224.31 212.83L40.20 214.43L137 141Z" 
-        fill={getHoverFill('7-click', '#962B44')}
-        onClick={onFlapClick('7-click', '#962B44')}
-        onMouseOver={(e) => onMouseOver(e, '7-click', '#962B44')}
-        onMouseOut={onMouseOut}
-        style={{ cursor: 'pointer' }}
-      />
-      <path d="M12.85 433.50C2.43 421 39.35 212 39.35 212H224.02V397C224.02 397 23.27 446 12.85 433.50Z" fill="#06D6A0"/>
-      <path d="M435.17 434.85C445.58 422.35 408.67 213.35 408.67 213.35H224V398.35C224 398.35 424.75 447.35 435.17 434.85Z" fill="#FFD166"/>
-      <line x1="223.17" y1="212.45" x2="438.17" y2="435.45" stroke="#917535" strokeWidth="2"/>
-      <line x1="223.18" y1="213.83" x2="13.71" y2="434.39" stroke="#00664C" strokeWidth="2.00"/>
-      <path d="M140 281.1L224.5 341L224.5 210.6L39.8 210.2L140 281.1Z" fill="#00664C"/>
-      <path 
-        id="5-click" 
-        d="M140 281.1L224.5 341L224.5 210.6L39.8 210.2L140 281.1Z" 
-        fill={getHoverFill('5-click', '#00664C')}
-        onClick={onFlapClick('5-click', '#00664C')}
-        onMouseOver={(e) => onMouseOver(e, '5-click', '#00664C')}
-        onMouseOut={onMouseOut}
-        style={{ cursor: 'pointer' }}
-      />
-      <path d="M308 282L222.2 342.2L224.6 210.7L409 212.7L308 282Z" fill="#917535"/>
-      <path 
-        id="3-click" 
-        d="M308 282L222.2 342.2L224.6 210.7L409 212.7L308 282Z" 
-        fill={getHoverFill('3-click', '#917535')}
-        onClick={onFlapClick('3-click', '#917535')}
-        onMouseOver={(e) => onMouseOver(e, '3-click', '#917535')}
-        onMouseOut={onMouseOut}
-        style={{ cursor: 'pointer' }}
-      />
-      <line x1="222" y1="211" x2="224" y2="399" stroke="#00664C" strokeWidth="2"/>
-      <text fill="white" style={{whiteSpace: 'pre', pointerEvents: 'none'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="262.5" y="188.4">1</tspan></text>
-      <text fill="white" style={{whiteSpace: 'pre', pointerEvents: 'none'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="158.5" y="275.4">5</tspan></text>
-      <text fill="white" style={{whiteSpace: 'pre', pointerEvents: 'none'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="258.1" y="275.4">3</tspan></text>
-      <text fill="white" style={{whiteSpace: 'pre', pointerEvents: 'none'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="159.7" y="188.4">7</tspan></text>
-    </svg>
-  );
-}
+      );
+    }
 
-// Vertical with numbers SVG
-function VerticalNumsSVG({ onFlapClick, getHoverFill, onMouseOver, onMouseOut }) {
-  return (
-    <svg width="461" height="456" viewBox="0 0 461 456" fill="none" xmlns="http://www.w3.org/2000/svg">
-      <g id="Group 1">
-        <path d="M1.85 453.31C-8.56 440.81 28.35 231.81 28.35 231.81L213.02 231.81L213.02 416.81C213.02 416.81 12.26 465.81 1.85 453.31Z" fill="#06D6A0"/>
-      </g>
-      <g id="Group 2">
-        <path d="M2.20 9.29C-8.21 21.79 28.70 230.79 28.70 230.79L213.37 230.79L213.37 45.79C213.37 45.79 12.62 -3.20 2.20 9.29Z" fill="#EF476F"/>
-        <path d="M28 231.36L210 231.36" stroke="#EF476F" strokeWidth="2"/>
-      </g>
-      <path d="M2.42 10.35L213.14 232.90" stroke="#962B44" strokeWidth="2.01"/>
-      <path d="M1.78 451.66L211.78 232.66" stroke="#00664C" strokeWidth="2"/>
-      <path d="M433.50 442.50C421.00 452.92 212.00 416.00 212.00 416.00L212.00 231.33L397.00 231.33C397.00 231.33 446.00 432.08 433.50 442.50Z" fill="#FFD166"/>
-      <path d="M434.85 20.18C422.35 9.77 213.35 46.68 213.35 46.68L213.35 231.36L398.35 231.36C398.35 231.36 447.35 30.60 434.85 20.18Z" fill="#118AB2"/>
-      <line x1="212.45" y1="232.17" x2="435.45" y2="17.18" stroke="#094559" strokeWidth="2"/>
-      <line x1="213.84" y1="232.16" x2="434.39" y2="441.64" stroke="#987B38" strokeWidth="2.01"/>
-      <line x1="210.99" y1="232.35" x2="399.00" y2="232.35" stroke="#00664C" strokeWidth="2.01"/>
-      <path d="M127.4 144.8L54 233L213 233L213 47L127.4 144.8Z" fill="#962B44"/>
-      <path 
-        id="8-click" 
-        d="M127.4 144.8L54 233L213 233L213 47L127.4 144.8Z" 
-        fill={getHoverFill('8-click', '#962B44')}
-        onClick={onFlapClick('8-click', '#962B44')}
-        onMouseOver={(e) => onMouseOver(e, '8-click', '#962B44')}
-        onMouseOut={onMouseOut}
-        style={{ cursor: 'pointer' }}
-      />
-      <path d="M298.6 147.9L371 233H213V47L298.6 147.9Z" fill="#094559"/>
-      <path 
-        id="2-click" 
-        d="M298.6 147.9L371 233H213V47L298.6 147.9Z" 
-        fill={getHoverFill('2-click', '#094559')}
-        onClick={onFlapClick('2-click', '#094559')}
-        onMouseOver={(e) => onMouseOver(e, '2-click', '#094559')}
-        onMouseOut={onMouseOut}
-        style={{ cursor: 'pointer' }}
-      />
-      <text fill="white" style={{whiteSpace: 'pre', pointerEvents: 'none'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="250.9" y="190.4">2</tspan></text>
-      <path d="M127.4 320.4L54 233.1L213 233.1L213 417.1L127.4 320.4Z" fill="#00664C"/>
-      <path 
-        id="6-click" 
-        d="M127.4 320.4L54 233.1L213 233.1L213 417.1L127.4 320.4Z" 
-        fill={getHoverFill('6-click', '#00664C')}
-        onClick={onFlapClick('6-click', '#00664C')}
-        onMouseOver={(e) => onMouseOver(e, '6-click', '#00664C')}
-        onMouseOut={onMouseOut}
-        style={{ cursor: 'pointer' }}
-      />
-      <text fill="white" style={{whiteSpace: 'pre', pointerEvents: 'none'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="150.1" y="316.4">6</tspan></text>
-      <path d="M298.7 317.1L371.1 233H213V416.9L298.7 317.1Z" fill="#917535"/>
-      <path 
-        id="4-click" 
-        d="M298.7 317.1L371.1 233H213V416.9L298.7 317.1Z" 
-        fill={getHoverFill('4-click', '#917535')}
-        onClick={onFlapClick('4-click', '#917535')}
-        onMouseOver={(e) => onMouseOver(e, '4-click', '#917535')}
+    const targetIndex = targets.indexOf(shape);
+    return (
+      <path
+        key={shape.id}
+        id={shape.id}
+        ref={(el) => { targetRefs.current[targetIndex] = el; }}
+        d={shape.d}
+        strokeWidth={strokeWidth}
+        transform={shape.transform}
+        role="button"
+        tabIndex={targetIndex === focusIndex ? 0 : -1}
+        aria-label={getTargetLabel(shape.target, theme, opensFlaps, catalog, locale)}
+        aria-disabled={disabled || undefined}
+        onClick={(e) => {
+          e.stopPropagation();
+          keyboardFocusRef.current = false;
+          onFlapClick(shape.target);
+        }}
+        onKeyDown={(e) => handleKeyDown(e, shape)}
+        onMouseOver={() => onMouseOver(shape.id)}
         onMouseOut={onMouseOut}
-        style={{ cursor: 'pointer' }}
+        onFocus={() => {
+          setFocusIndex(targetIndex);
+          onMouseOver(shape.id);
+        }}
+        onBlur={onMouseOut}
+        style={{
+          fill,
+          stroke,
+          // The hovered flap darkens whatever color it has
+          filter: hoveredFlap === shape.id ? 'brightness(0.8)' : undefined,
+          cursor: disabled ? 'default' : 'pointer',
+        }}
       />
-      <text fill="white" style={{whiteSpace: 'pre', pointerEvents: 'none'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="249.7" y="316.4">4</tspan></text>
-      <text fill="white" style={{whiteSpace: 'pre', pointerEvents: 'none'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="150.2" y="190.4">8</tspan></text>
-    </svg>
-  );
-}
-
-// Fully opened SVG
-function OpenedSVG({ onFlapClick, getHoverFill, onMouseOver, onMouseOut }) {
-  return (
-    <svg width="433" height="441" viewBox="0 0 433 441" fill="none" xmlns="http://www.w3.org/2000/svg">
-      <g id="Bottom-Right-4">
-        <path 
-          id="4-click" 
-          d="M217 219.5L430 438H217V219.5Z" 
-          fill={getHoverFill('4-click', '#FFD166')} 
-          stroke="#917535" 
-          strokeWidth="2"
-          onClick={onFlapClick('4-click', '#FFD166')}
-          onMouseOver={(e) => onMouseOver(e, '4-click', '#FFD166')}
-          onMouseOut={onMouseOut}
-          style={{ cursor: 'pointer' }}
-        />
-        <text fill="white" style={{whiteSpace: 'pre', pointerEvents: 'none'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="263.68" y="389.91">4</tspan></text>
-      </g>
-      <g id="Bottom-Right-3">
-        <path 
-          id="3-click" 
-          d="M429.5 438.5L216.5 220H429.5V438.5Z" 
-          fill={getHoverFill('3-click', '#FFD166')} 
-          stroke="#917535" 
-          strokeWidth="2"
-          onClick={onFlapClick('3-click', '#FFD166')}
-          onMouseOver={(e) => onMouseOver(e, '3-click', '#FFD166')}
-          onMouseOut={onMouseOut}
-          style={{ cursor: 'pointer' }}
-        />
-        <text fill="white" style={{whiteSpace: 'pre', pointerEvents: 'none'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="336.06" y="299.91">3</tspan></text>
-      </g>
-      <g id="Top-Right-2">
-        <path 
-          id="2-click" 
-          d="M430.5 2.9996L217 219H430L430.5 2.9996Z" 
-          fill={getHoverFill('2-click', '#118AB2')} 
-          stroke="#073E51" 
-          strokeWidth="2"
-          onClick={onFlapClick('2-click', '#118AB2')}
-          onMouseOver={(e) => onMouseOver(e, '2-click', '#118AB2')}
-          onMouseOut={onMouseOut}
-          style={{ cursor: 'pointer' }}
-        />
-        <text fill="white" style={{whiteSpace: 'pre', pointerEvents: 'none'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="332.85" y="178.91">2</tspan></text>
-      </g>
-      <g id="Top-Right-1">
-        <path 
-          id="1-click" 
-          d="M217 221L430 2.5H217V221Z" 
-          fill={getHoverFill('1-click', '#118AB2')} 
-          stroke="#073E51" 
-          strokeWidth="2"
-          onClick={onFlapClick('1-click', '#118AB2')}
-          onMouseOver={(e) => onMouseOver(e, '1-click', '#118AB2')}
-          onMouseOut={onMouseOut}
-          style={{ cursor: 'pointer' }}
-        />
-        <text fill="white" style={{whiteSpace: 'pre', pointerEvents: 'none'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="266.51" y="96.91">1</tspan></text>
-      </g>
-      <g id="Bottom-Left-5">
-        <path 
-          id="5-click" 
-          d="M217 219.5L4 438H217V219.5Z" 
-          fill={getHoverFill('5-click', '#06D6A0')} 
-          stroke="#00664C" 
-          strokeWidth="2"
-          onClick={onFlapClick('5-click', '#06D6A0')}
-          onMouseOver={(e) => onMouseOver(e, '5-click', '#06D6A0')}
-          onMouseOut={onMouseOut}
-          style={{ cursor: 'pointer' }}
-        />
-        <text fill="white" style={{whiteSpace: 'pre', pointerEvents: 'none'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="119.55" y="389.91">5</tspan></text>
-      </g>
-      <g id="Bottom-Left-6">
-        <path 
-          id="6-click" 
-          d="M3.5 438L216.5 219.5H3.5V438Z" 
-          fill={getHoverFill('6-click', '#06D6A0')} 
-          stroke="#00664C" 
-          strokeWidth="2"
-          onClick={onFlapClick('6-click', '#06D6A0')}
-          onMouseOver={(e) => onMouseOver(e, '6-click', '#06D6A0')}
-          onMouseOut={onMouseOut}
-          style={{ cursor: 'pointer' }}
-        />
-        <text fill="white" style={{whiteSpace: 'pre', pointerEvents: 'none'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="57.1" y="299.9">6</tspan></text>
-      </g>
-      <g id="Top-Left-7">
-        <path 
-          id="7-click" 
-          d="M3.5 2.5L216.5 221H3.5V2.5Z" 
-          fill={getHoverFill('7-click', '#EF476F')} 
-          stroke="#C2395A" 
-          strokeWidth="2"
-          onClick={onFlapClick('7-click', '#EF476F')}
-          onMouseOver={(e) => onMouseOver(e, '7-click', '#EF476F')}
-          onMouseOut={onMouseOut}
-          style={{ cursor: 'pointer' }}
-        />
-        <text fill="white" style={{whiteSpace: 'pre', pointerEvents: 'none'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="58.7" y="163.9">7</tspan></text>
-      </g>
-      <g id="Top-Left-8">
-        <path 
-          id="8-click" 
-          d="M216 220.5L3 2H216V220.5Z" 
-          fill={getHoverFill('8-click', '#EF476F')} 
-          stroke="#962B44" 
-          strokeWidth="2"
-          onClick={onFlapClick('8-click', '#EF476F')}
-          onMouseOver={(e) => onMouseOver(e, '8-click', '#EF476F')}
-          onMouseOut={onMouseOut}
-          style={{ cursor: 'pointer' }}
-        />
-        <text fill="white" style={{whiteSpace: 'pre', pointerEvents: 'none'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="129.2" y="96.9">8</tspan></text>
-      </g>
-    </svg>
-  );
-}
-
-// Flap opened SVGs (1-8)
-function Flap1OpenedSVG() {
-  return (
-    <svg width="434" height="662" viewBox="0 0 434 662" fill="none" xmlns="http://www.w3.org/2000/svg">
-      <g id="Bottom-Right-4">
-        <path d="M217.0 440.5L430.0 659.0H217.0V440.5Z" fill="#FFD166" stroke="#917535" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="263.684" y="610.909">4</tspan></text>
-      </g>
-      <g id="Bottom-Right-3">
-        <path d="M429.5 659.5L216.5 441.0H429.5V659.5Z" fill="#FFD166" stroke="#917535" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="336.064" y="520.909">3</tspan></text>
-      </g>
-      <g id="Top-Right-2">
-        <path d="M430.5 224.0L217.0 440.0H430.0L430.5 224.0Z" fill="#118AB2" stroke="#073E51" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="332.852" y="399.909">2</tspan></text>
-      </g>
-      <g id="Top-Right-1">
-        <path d="M217.0 442.0L430.0 223.5H217.0V442.0Z" fill="#118AB2" stroke="#073E51" strokeWidth="2"/>
-      </g>
-      <g id="Top-Right-1-Opened">
-        <path d="M218.0 3.0L431.0 221.5H218.0V3.0Z" fill="#118AB2" stroke="#073E51" strokeWidth="2"/>
-      </g>
-      <g id="Bottom-Left-5">
-        <path d="M217.0 440.5L4.0 659.0H217.0V440.5Z" fill="#06D6A0" stroke="#00664C" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="119.547" y="610.909">5</tspan></text>
-      </g>
-      <g id="Bottom-Left-6">
-        <path d="M3.5 659.0L216.5 440.5H3.5V659.0Z" fill="#06D6A0" stroke="#00664C" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="57.1406" y="520.909">6</tspan></text>
-      </g>
-      <g id="Top-Left-7">
-        <path d="M3.5 223.5L216.5 442.0H3.5V223.5Z" fill="#EF476F" stroke="#C2395A" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="58.7402" y="384.909">7</tspan></text>
-      </g>
-      <g id="Top-Left-8">
-        <path d="M216.0 441.5L3.0 223.0H216.0V441.5Z" fill="#EF476F" stroke="#962B44" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="129.217" y="317.909">8</tspan></text>
-      </g>
-    </svg>
-  );
-}
-
-function Flap2OpenedSVG() {
-  return (
-    <svg width="660" height="441" viewBox="0 0 660 441" fill="none" xmlns="http://www.w3.org/2000/svg">
-      <g id="Bottom-Right-4">
-        <path d="M439 219.5L652 438H439V219.5Z" fill="#FFD166" stroke="#917535" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="485" y="389">4</tspan></text>
-      </g>
-      <g id="Bottom-Right-3">
-        <path d="M651.5 438.5L438.5 220H651.5V438.5Z" fill="#FFD166" stroke="#917535" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="558" y="300">3</tspan></text>
-      </g>
-      <g id="Top-Right-2">
-        <path d="M652.5 3L439 219H652L652.5 3Z" fill="#118AB2" stroke="#073E51" strokeWidth="2"/>
-      </g>
-      <g id="Top-Right-2-Opened">
-        <path d="M439 3L652 221.5V3H439Z" fill="#118AB2" stroke="#073E51" strokeWidth="2"/>
-      </g>
-      <g id="Top-Right-1">
-        <path d="M439 221L652 2.5H439V221Z" fill="#118AB2" stroke="#073E51" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="488" y="97">1</tspan></text>
-      </g>
-      <g id="Bottom-Left-5">
-        <path d="M220 219.5L7 438H220V219.5Z" fill="#06D6A0" stroke="#00664C" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="122" y="390">5</tspan></text>
-      </g>
-      <g id="Bottom-Left-6">
-        <path d="M6.5 438L219.5 219.5H6.5V438Z" fill="#06D6A0" stroke="#00664C" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="60" y="300">6</tspan></text>
-      </g>
-      <g id="Top-Left-7">
-        <path d="M6.5 2.5L219.5 221H6.5V2.5Z" fill="#EF476F" stroke="#C2395A" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="61" y="164">7</tspan></text>
-      </g>
-      <g id="Top-Left-8">
-        <path d="M219 220.5L6 2H219V220.5Z" fill="#EF476F" stroke="#962B44" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="132" y="97">8</tspan></text>
-      </g>
-    </svg>
-  );
-}
-
-function Flap3OpenedSVG() {
-  return (
-    <svg width="660" height="441" viewBox="0 0 660 441" fill="none" xmlns="http://www.w3.org/2000/svg">
-      <g id="Bottom-Right-4">
-        <path d="M439 219.5L652 438H439V219.5Z" fill="#FFD166" stroke="#917535" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="485" y="389">4</tspan></text>
-      </g>
-      <g id="Bottom-Right-3">
-        <path d="M651.5 438.5L438.5 220H651.5V438.5Z" fill="#FFD166" stroke="#917535" strokeWidth="2"/>
-      </g>
-      <g id="Bottom-Right-3-Opened">
-        <path d="M651.5 220L438.5 438.5V220H651.5Z" fill="#FFD166" stroke="#917535" strokeWidth="2"/>
-      </g>
-      <g id="Top-Right-2">
-        <path d="M652.5 3L439 219H652L652.5 3Z" fill="#118AB2" stroke="#073E51" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="555" y="179">2</tspan></text>
-      </g>
-      <g id="Top-Right-1">
-        <path d="M439 221L652 2.5H439V221Z" fill="#118AB2" stroke="#073E51" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="488" y="97">1</tspan></text>
-      </g>
-      <g id="Bottom-Left-5">
-        <path d="M220 219.5L7 438H220V219.5Z" fill="#06D6A0" stroke="#00664C" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="122" y="390">5</tspan></text>
-      </g>
-      <g id="Bottom-Left-6">
-        <path d="M6.5 438L219.5 219.5H6.5V438Z" fill="#06D6A0" stroke="#00664C" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="60" y="300">6</tspan></text>
-      </g>
-      <g id="Top-Left-7">
-        <path d="M6.5 2.5L219.5 221H6.5V2.5Z" fill="#EF476F" stroke="#C2395A" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="61" y="164">7</tspan></text>
-      </g>
-      <g id="Top-Left-8">
-        <path d="M219 220.5L6 2H219V220.5Z" fill="#EF476F" stroke="#962B44" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="132" y="97">8</tspan></text>
-      </g>
-    </svg>
-  );
-}
-
-function Flap4OpenedSVG() {
-  return (
-    <svg width="434" height="662" viewBox="0 0 434 662" fill="none" xmlns="http://www.w3.org/2000/svg">
-      <g id="Bottom-Right-4">
-        <path d="M217.0 440.5L430.0 659.0H217.0V440.5Z" fill="#FFD166" stroke="#917535" strokeWidth="2"/>
-      </g>
-      <g id="Bottom-Right-4-Opened">
-        <path d="M217.0 659.0L430.0 440.5V659.0H217.0Z" fill="#FFD166" stroke="#917535" strokeWidth="2"/>
-      </g>
-      <g id="Bottom-Right-3">
-        <path d="M429.5 659.5L216.5 441.0H429.5V659.5Z" fill="#FFD166" stroke="#917535" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="336.064" y="520.909">3</tspan></text>
-      </g>
-      <g id="Top-Right-2">
-        <path d="M430.5 224.0L217.0 440.0H430.0L430.5 224.0Z" fill="#118AB2" stroke="#073E51" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="332.852" y="399.909">2</tspan></text>
-      </g>
-      <g id="Top-Right-1">
-        <path d="M217.0 442.0L430.0 223.5H217.0V442.0Z" fill="#118AB2" stroke="#073E51" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="266.51" y="317.909">1</tspan></text>
-      </g>
-      <g id="Bottom-Left-5">
-        <path d="M217.0 440.5L4.0 659.0H217.0V440.5Z" fill="#06D6A0" stroke="#00664C" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="119.547" y="610.909">5</tspan></text>
-      </g>
-      <g id="Bottom-Left-6">
-        <path d="M3.5 659.0L216.5 440.5H3.5V659.0Z" fill="#06D6A0" stroke="#00664C" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="57.1406" y="520.909">6</tspan></text>
-      </g>
-      <g id="Top-Left-7">
-        <path d="M3.5 223.5L216.5 442.0H3.5V223.5Z" fill="#EF476F" stroke="#C2395A" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="58.7402" y="384.909">7</tspan></text>
-      </g>
-      <g id="Top-Left-8">
-        <path d="M216.0 441.5L3.0 223.0H216.0V441.5Z" fill="#EF476F" stroke="#962B44" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="129.217" y="317.909">8</tspan></text>
-      </g>
-    </svg>
-  );
-}
-
-function Flap5OpenedSVG() {
-  return (
-    <svg width="434" height="662" viewBox="0 0 434 662" fill="none" xmlns="http://www.w3.org/2000/svg">
-      <g id="Bottom-Right-4">
-        <path d="M217.0 440.5L430.0 659.0H217.0V440.5Z" fill="#FFD166" stroke="#917535" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="263.684" y="610.909">4</tspan></text>
-      </g>
-      <g id="Bottom-Right-3">
-        <path d="M429.5 659.5L216.5 441.0H429.5V659.5Z" fill="#FFD166" stroke="#917535" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="336.064" y="520.909">3</tspan></text>
-      </g>
-      <g id="Top-Right-2">
-        <path d="M430.5 224.0L217.0 440.0H430.0L430.5 224.0Z" fill="#118AB2" stroke="#073E51" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="332.852" y="399.909">2</tspan></text>
-      </g>
-      <g id="Top-Right-1">
-        <path d="M217.0 442.0L430.0 223.5H217.0V442.0Z" fill="#118AB2" stroke="#073E51" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="266.51" y="317.909">1</tspan></text>
-      </g>
-      <g id="Bottom-Left-5">
-        <path d="M217.0 440.5L4.0 659.0H217.0V440.5Z" fill="#06D6A0" stroke="#00664C" strokeWidth="2"/>
-      </g>
-      <g id="Bottom-Left-5-Opened">
-        <path d="M217.0 659.0L4.0 440.5V659.0H217.0Z" fill="#06D6A0" stroke="#00664C" strokeWidth="2"/>
-      </g>
-      <g id="Bottom-Left-6">
-        <path d="M3.5 659.0L216.5 440.5H3.5V659.0Z" fill="#06D6A0" stroke="#00664C" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="57.1406" y="520.909">6</tspan></text>
-      </g>
-      <g id="Top-Left-7">
-        <path d="M3.5 223.5L216.5 442.0H3.5V223.5Z" fill="#EF476F" stroke="#C2395A" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="58.7402" y="384.909">7</tspan></text>
-      </g>
-      <g id="Top-Left-8">
-        <path d="M216.0 441.5L3.0 223.0H216.0V441.5Z" fill="#EF476F" stroke="#962B44" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="129.217" y="317.909">8</tspan></text>
-      </g>
-    </svg>
-  );
-}
-
-function Flap6OpenedSVG() {
-  return (
-    <svg width="660" height="441" viewBox="0 0 660 441" fill="none" xmlns="http://www.w3.org/2000/svg">
-      <g id="Bottom-Right-4">
-        <path d="M439 219.5L652 438H439V219.5Z" fill="#FFD166" stroke="#917535" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="485" y="389">4</tspan></text>
-      </g>
-      <g id="Bottom-Right-3">
-        <path d="M651.5 438.5L438.5 220H651.5V438.5Z" fill="#FFD166" stroke="#917535" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="558" y="300">3</tspan></text>
-      </g>
-      <g id="Top-Right-2">
-        <path d="M652.5 3L439 219H652L652.5 3Z" fill="#118AB2" stroke="#073E51" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="555" y="179">2</tspan></text>
-      </g>
-      <g id="Top-Right-1">
-        <path d="M439 221L652 2.5H439V221Z" fill="#118AB2" stroke="#073E51" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="488" y="97">1</tspan></text>
-      </g>
-      <g id="Bottom-Left-5">
-        <path d="M220 219.5L7 438H220V219.5Z" fill="#06D6A0" stroke="#00664C" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="122" y="390">5</tspan></text>
-      </g>
-      <g id="Bottom-Left-6">
-        <path d="M6.5 438L219.5 219.5H6.5V438Z" fill="#06D6A0" stroke="#00664C" strokeWidth="2"/>
-      </g>
-      <g id="Bottom-Left-6-Opened">
-        <path d="M6.5 219.5L219.5 438V219.5H6.5Z" fill="#06D6A0" stroke="#00664C" strokeWidth="2"/>
-      </g>
-      <g id="Top-Left-7">
-        <path d="M6.5 2.5L219.5 221H6.5V2.5Z" fill="#EF476F" stroke="#C2395A" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="61" y="164">7</tspan></text>
-      </g>
-      <g id="Top-Left-8">
-        <path d="M219 220.5L6 2H219V220.5Z" fill="#EF476F" stroke="#962B44" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="132" y="97">8</tspan></text>
-      </g>
-    </svg>
-  );
-}
-
-function Flap7OpenedSVG() {
-  return (
-    <svg width="660" height="441" viewBox="0 0 660 441" fill="none" xmlns="http://www.w3.org/2000/svg">
-      <g id="Bottom-Right-4">
-        <path d="M439 219.5L652 438H439V219.5Z" fill="#FFD166" stroke="#917535" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="485" y="389">4</tspan></text>
-      </g>
-      <g id="Bottom-Right-3">
-        <path d="M651.5 438.5L438.5 220H651.5V438.5Z" fill="#FFD166" stroke="#917535" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="558" y="300">3</tspan></text>
-      </g>
-      <g id="Top-Right-2">
-        <path d="M652.5 3L439 219H652L652.5 3Z" fill="#118AB2" stroke="#073E51" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="555" y="179">2</tspan></text>
-      </g>
-      <g id="Top-Right-1">
-        <path d="M439 221L652 2.5H439V221Z" fill="#118AB2" stroke="#073E51" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="488" y="97">1</tspan></text>
-      </g>
-      <g id="Bottom-Left-5">
-        <path d="M220 219.5L7 438H220V219.5Z" fill="#06D6A0" stroke="#00664C" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="122" y="390">5</tspan></text>
-      </g>
-      <g id="Bottom-Left-6">
-        <path d="M6.5 438L219.5 219.5H6.5V438Z" fill="#06D6A0" stroke="#00664C" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="60" y="300">6</tspan></text>
-      </g>
-      <g id="Top-Left-7">
-        <path d="M6.5 2.5L219.5 221H6.5V2.5Z" fill="#EF476F" stroke="#C2395A" strokeWidth="2"/>
-      </g>
-      <g id="Top-Left-7-Opened">
-        <path d="M219.5 2.5L6.5 221V2.5H219.5Z" fill="#EF476F" stroke="#C2395A" strokeWidth="2"/>
-      </g>
-      <g id="Top-Left-8">
-        <path d="M219 220.5L6 2H219V220.5Z" fill="#EF476F" stroke="#962B44" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="132" y="97">8</tspan></text>
-      </g>
-    </svg>
-  );
-}
+    );
+  };
 
-function Flap8OpenedSVG() {
   return (
-    <svg width="434" height="662" viewBox="0 0 434 662" fill="none" xmlns="http://www.w3.org/2000/svg">
-      <g id="Bottom-Right-4">
-        <path d="M217.0 440.5L430.0 659.0H217.0V440.5Z" fill="#FFD166" stroke="#917535" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="263.684" y="610.909">4</tspan></text>
-      </g>
-      <g id="Bottom-Right-3">
-        <path d="M429.5 659.5L216.5 441.0H429.5V659.5Z" fill="#FFD166" stroke="#917535" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="336.064" y="520.909">3</tspan></text>
-      </g>
-      <g id="Top-Right-2">
-        <path d="M430.5 224.0L217.0 440.0H430.0L430.5 224.0Z" fill="#118AB2" stroke="#073E51" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="332.852" y="399.909">2</tspan></text>
-      </g>
-      <g id="Top-Right-1">
-        <path d="M217.0 442.0L430.0 223.5H217.0V442.0Z" fill="#118AB2" stroke="#073E51" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="266.51" y="317.909">1</tspan></text>
-      </g>
-      <g id="Bottom-Left-5">
-        <path d="M217.0 440.5L4.0 659.0H217.0V440.5Z" fill="#06D6A0" stroke="#00664C" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="119.547" y="610.909">5</tspan></text>
-      </g>
-      <g id="Bottom-Left-6">
-        <path d="M3.5 659.0L216.5 440.5H3.5V659.0Z" fill="#06D6A0" stroke="#00664C" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="57.1406" y="520.909">6</tspan></text>
-      </g>
-      <g id="Top-Left-7">
-        <path d="M3.5 223.5L216.5 442.0H3.5V223.5Z" fill="#EF476F" stroke="#C2395A" strokeWidth="2"/>
-        <text fill="white" style={{whiteSpace: 'pre'}} fontFamily="Inter, sans-serif" fontSize="52" fontWeight="600"><tspan x="58.7402" y="384.909">7</tspan></text>
-      </g>
-      <g id="Top-Left-8">
-        <path d="M216.0 441.5L3.0 223.0H216.0V441.5Z" fill="#EF476F" stroke="#962B44" strokeWidth="2"/>
-      </g>
-      <g id="Top-Left-8-Opened">
-        <path d="M3.0 441.5L216.0 223.0V441.5H3.0Z" fill="#EF476F" stroke="#962B44" strokeWidth="2"/>
+    <svg
+      ref={svgRef}
+      viewBox={`0 0 ${VIEWPORT.width} ${VIEWPORT.height}`}
+      preserveAspectRatio="xMidYMid meet"
+      fill="none"
+      xmlns="http://www.w3.org/2000/svg"
+      role="group"
+      aria-label={catalog.a11y.teller}
+    >
+      {/* The state's canvas, centered in the shared viewport */}
+      <g className="teller-canvas" style={{ transform: `translate(${geometry.offset.x}px, ${geometry.offset.y}px)` }}>
+        {geometry.flaps.map(renderShape)}
+        {geometry.creases.map(renderShape)}
+        {geometry.triangles.map(renderShape)}
+        {(geometry.words || []).map(word => {
+          const name = theme.quadrants[word.quadrant].name;
+          // Shrink long names to fit the flap
+          const fontSize = Math.min(words.fontSize, word.width / (Array.from(name).length * 0.62));
+          return (
+            <text
+              key={`word-${word.quadrant}`}
+              x={word.x}
+              y={word.y}
+              textAnchor="middle"
+              aria-hidden="true"
+              style={{
+                fill: words.color || resolveColorVar(`${word.quadrant}.dark`, theme),
+                whiteSpace: 'pre',
+                pointerEvents: 'none',
+              }}
+              fontFamily={words.fontFamily}
+              fontSize={fontSize}
+              fontWeight={words.fontWeight}
+            >
+              {name}
+            </text>
+          );
+        })}
+        {geometry.labels.map(label => (
+          <text
+            key={`label-${label.text}`}
+            fill={numbers.color}
+            aria-hidden="true"
+            style={{ whiteSpace: 'pre', pointerEvents: 'none' }}
+            fontFamily={numbers.fontFamily}
+            fontSize={numbers.fontSize}
+            fontWeight={numbers.fontWeight}
+          >
+            <tspan x={label.x} y={label.y}>{label.text}</tspan>
+          </text>
+        ))}
       </g>
     </svg>
   );
 }
-
@@ -0,0 +1,113 @@
+// Messaging between the game and a React Native WebView host.
+//
+// Outbound: sendToReactNative(data) posts JSON to window.ReactNativeWebView and
+// dispatches a DOM CustomEvent named after data.type (see GAME_EVENTS).
+//
+// Inbound: the host injects JSON commands such as
+//   { "command": "selectColor", "id": "42", "payload": { "color": "red" } }
+// and every command is answered with a correlated response:
+//   { "type": "response", "id": "42", "command": "selectColor", "ok": true, "result": ... }
+//   { "type": "response", "id": "42", "command": "selectColor", "ok": false, "error": "..." }
+
+// Send message to React Native
+export const sendToReactNative = (data) => {
+  // Always try to send to React Native WebView
+  if (window.ReactNativeWebView && window.ReactNativeWebView.postMessage) {
+    window.ReactNativeWebView.postMessage(JSON.stringify(data));
+  }
+  // Also dispatch a custom event for other integrations
+  window.dispatchEvent(new CustomEvent(data.type, { detail: data }));
+};
+
+// Lifecycle events sent to the host. Every event carries a sessionId and timestamp.
+export const GAME_EVENTS = {
+  READY: 'ready',
+  COLOR_SELECTED: 'colorSelected',
+  ANIMATION_STARTED: 'animationStarted',
+  ANIMATION_ENDED: 'animationEnded',
+  NUMBER_SELECTED: 'numberSelected',
+  FLAP_OPENED: 'flapOpened',
+  FORTUNE_REVEALED: 'fortuneRevealed',
+  RESET: 'reset',
+  HISTORY_CHANGED: 'historyChanged',
+  PLAY_LIMITED: 'playLimited',
+  GAME_SNAPSHOT: 'gameSnapshot',
+  RESUMED: 'resumed',
+  GESTURE: 'gesture',
+  PACK_LOADED: 'packLoaded',
+  PACK_FAILED: 'packFailed',
+  FORTUNE_ACTION: 'fortuneAction',
+  OUTCOME_FAILED: 'outcomeFailed',
+};
+
+// One id per game instance, so the host can group the events of a visit
+export const createSessionId = () => {
+  if (window.crypto && window.crypto.randomUUID) return window.crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+// Commands the host may send
+export const BRIDGE_COMMANDS = {
+  RESET: 'reset',
+  SET_FORTUNES: 'setFortunes',
+  SET_THEME: 'setTheme',
+  SET_SEED: 'setSeed',
+  SET_OUTCOME: 'setOutcome',
+  SELECT_COLOR: 'selectColor',
+  SELECT_NUMBER: 'selectNumber',
+  GET_STATE: 'getState',
+  GET_HISTORY: 'getHistory',
+  SET_HISTORY: 'setHistory',
+  RESTORE_GAME: 'restoreGame',
+  SET_MUTED: 'setMuted',
+  LOAD_PACK: 'loadPack',
+};
+
+// Commands come from the page's own window, or are injected by react-native-webview,
+// which leaves the origin empty. Messages posted by other windows (a page embedding
+// the game, a frame it opened) carry their source and origin and are ignored.
+const isFromHost = (event) => event.source === window || (!event.source && !event.origin);
+
+// Pull a command out of a message event. react-native-webview delivers strings,
+// other hosts may post objects; anything without a known command is ignored.
+const parseCommand = (event) => {
+  let message = event.data;
+  if (typeof message === 'string') {
+    try {
+      message = JSON.parse(message);
+    } catch (e) {
+      return null;
+    }
+  }
+  if (!message || typeof message !== 'object' || typeof message.command !== 'string') return null;
+  return message;
+};
+
+// Listen for host commands. `handleCommand(command, payload)` returns the result
+// (or a promise of it) and throws to report an error. Returns an unsubscribe function.
+export const listenToReactNative = (handleCommand) => {
+  const onMessage = async (event) => {
+    if (!isFromHost(event)) return;
+    const message = parseCommand(event);
+    if (!message) return;
+
+    const { command, id = null, payload = {} } = message;
+    try {
+      if (!Object.values(BRIDGE_COMMANDS).includes(command)) {
+        throw new Error(`Unknown command "${command}"`);
+      }
+      const result = await handleCommand(command, payload);
+      sendToReactNative({ type: 'response', id, command, ok: true, result: result ?? null });
+    } catch (e) {
+      sendToReactNative({ type: 'response', id, command, ok: false, error: e.message });
+    }
+  };
+
+  // iOS delivers injected messages on window, Android on document
+  window.addEventListener('message', onMessage);
+  document.addEventListener('message', onMessage);
+  return () => {
+    window.removeEventListener('message', onMessage);
+    document.removeEventListener('message', onMessage);
+  };
+};
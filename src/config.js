@@ -0,0 +1,330 @@
+// Load PaperFortune props from the page URL so one build can serve many campaigns.
+//
+// Supported parameters (query string or hash, hash wins):
+//   fortunes=Win!|Lucky day!|...      pipe-separated fortune list
+//   mapping=flap|random               fortune mapping (see FORTUNE_MAPPING)
+//   winProbability=0.25               chance of a winning fortune (0-1)
+//   colors=red:EF476F,blue:118AB2     quadrant colors, keyed by quadrant
+//   labels=red:rojo,blue:azul         color names spelled on the first move
+//   hintColor= hintNumber= hintReveal= hintGesture=  hint texts for each stage
+//   lang=es (or locale=es)            language of the game texts and the page
+//   tapIndicators=0 hint=0 tooltip=0 playAgain=1 gestures=1 sound=1 haptics=1  feature toggles
+//   muted=1                           start with the sound off
+//   autoReset=8000                    restart this many ms after the reveal
+//   moveDuration=300                  ms per fold move (lower is faster)
+//   storage=local storageKey=spring  keep the play history in localStorage
+//   maxPlaysPerDay=3 cooldown=3600000 play limits (cooldown in ms between plays)
+//   resume=session                    resume a game in progress after a reload
+//   rules=classic rounds=2            game rules and how many numbers are counted out
+//   flow=quick                        a game flow preset (see FLOW_PRESETS); the blob
+//                                     may carry a flow of its own as a list of stages
+//   pack=packs/spring.json            a content pack next to index.html (see packs.js);
+//                                     the blob may carry the pack itself
+//   seed=ticket-1234                  seed for the random picks, to replay a game
+//   config=<base64 JSON>              any of the above as one JSON object,
+//                                     for lists too long for plain params;
+//                                     the blob may also carry a full `theme`,
+//                                     fortune objects with tiers, weights and caps,
+//                                     and `messages` to override texts (see i18n.js)
+//
+// A predetermined `outcome` is never read from the URL: anyone could add it to a link
+// and win. It comes from the host only, as a prop or the setOutcome command.
+
+import { QUADRANTS } from './geometry';
+import { validateTheme } from './theme';
+import { validateFortunes, isValidWinProbability } from './fortunes';
+import { isValidSeed } from './random';
+import { FLOW_PRESETS, validateFlow } from './flow';
+import { validateMessages } from './i18n';
+import { validatePack } from './packs';
+
+const HINT_PARAMS = { hintColor: 'color', hintNumber: 'number', hintReveal: 'reveal', hintGesture: 'gesture' };
+const FEATURE_PARAMS = ['tapIndicators', 'hint', 'tooltip', 'playAgain', 'gestures', 'sound', 'haptics'];
+const MAPPINGS = ['random', 'flap'];
+// 'host' and custom adapters need code, so the URL can only turn on localStorage
+const STORAGES = ['local'];
+const RESUMES = ['session', 'host'];
+const RULES = ['simple', 'classic'];
+
+const warn = (message) => console.warn(`[PaperFortune config] ${message}`);
+
+// Decode base64 (standard or URL-safe) to a UTF-8 string
+const decodeBase64 = (value) => {
+  // URLSearchParams turns an unescaped '+' into a space
+  const normalized = value.replace(/ /g, '+').replace(/-/g, '+').replace(/_/g, '/');
+  const padded = normalized + '='.repeat((4 - (normalized.length % 4)) % 4);
+  const binary = atob(padded);
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+};
+
+// "red:EF476F,blue:118AB2" -> { red: 'EF476F', blue: '118AB2' }
+const parsePairs = (value) => {
+  return value.split(',').reduce((pairs, entry) => {
+    const [key, ...rest] = entry.split(':');
+    if (key && rest.length) pairs[key.trim()] = rest.join(':').trim();
+    return pairs;
+  }, {});
+};
+
+const parseToggle = (value) => {
+  if (typeof value === 'boolean') return value;
+  if (['1', 'true', 'on', 'yes'].includes(String(value).toLowerCase())) return true;
+  if (['0', 'false', 'off', 'no'].includes(String(value).toLowerCase())) return false;
+  return undefined;
+};
+
+// Blank entries (e.g. from "a||b") are dropped rather than rejected
+const isBlank = (value) => typeof value === 'string' && !value.trim();
+
+const dropBlankFortunes = (fortunes) => {
+  if (Array.isArray(fortunes)) {
+    return fortunes.map(f => (typeof f === 'string' ? f.trim() : f)).filter(f => !isBlank(f));
+  }
+  if (fortunes && typeof fortunes === 'object') {
+    return Object.fromEntries(Object.entries(fortunes).filter(([, f]) => !isBlank(f)));
+  }
+  return fortunes;
+};
+
+const normalizeColor = (value) => {
+  const hex = String(value).trim().replace(/^#/, '');
+  return /^[0-9a-f]{6}$/i.test(hex) ? `#${hex.toUpperCase()}` : null;
+};
+
+// Read query and hash parameters into one raw object (hash overrides query)
+const readParams = (location) => {
+  const raw = {};
+  const sources = [location.search, location.hash.replace(/^#/, '')];
+  sources.forEach(source => {
+    new URLSearchParams(source).forEach((value, key) => {
+      raw[key] = value;
+    });
+  });
+  return raw;
+};
+
+// Turn flat URL parameters into the same shape as the JSON blob
+const paramsToConfig = (params) => {
+  const config = {};
+  if (params.fortunes) config.fortunes = params.fortunes.split('|');
+  if (params.mapping) config.mapping = params.mapping;
+  if (params.winProbability) config.winProbability = params.winProbability;
+  if (params.colors) config.colors = parsePairs(params.colors);
+  if (params.labels) config.labels = parsePairs(params.labels);
+  if (params.lang || params.locale) config.lang = params.lang || params.locale;
+  if (params.autoReset) config.autoReset = params.autoReset;
+  if (params.muted) config.muted = params.muted;
+  if (params.moveDuration) config.moveDuration = params.moveDuration;
+  if (params.seed) config.seed = params.seed;
+  if (params.storage) config.storage = params.storage;
+  if (params.storageKey) config.storageKey = params.storageKey;
+  if (params.maxPlaysPerDay) config.maxPlaysPerDay = params.maxPlaysPerDay;
+  if (params.cooldown) config.cooldown = params.cooldown;
+  if (params.resume) config.resume = params.resume;
+  if (params.rules) config.rules = params.rules;
+  if (params.rounds) config.rounds = params.rounds;
+  if (params.flow) config.flow = params.flow;
+  if (params.pack) config.pack = params.pack;
+
+  Object.entries(HINT_PARAMS).forEach(([param, key]) => {
+    if (params[param]) config.hints = { ...config.hints, [key]: params[param] };
+  });
+  FEATURE_PARAMS.forEach(param => {
+    if (params[param] !== undefined) config.features = { ...config.features, [param]: params[param] };
+  });
+  return config;
+};
+
+// Validate a raw config object and map it to PaperFortune props.
+// Invalid entries are dropped with a warning so the game still starts.
+const toProps = (config) => {
+  const props = {};
+
+  if (config.fortunes !== undefined) {
+    const fortunes = dropBlankFortunes(config.fortunes);
+    const problems = validateFortunes(fortunes);
+    if (problems.length) warn(`ignoring fortunes: ${problems.join('; ')}`);
+    else props.fortunes = fortunes;
+  }
+
+  if (config.mapping !== undefined) {
+    if (MAPPINGS.includes(config.mapping)) props.fortuneMapping = config.mapping;
+    else warn(`unknown mapping "${config.mapping}", expected one of ${MAPPINGS.join(', ')}`);
+  }
+
+  if (config.winProbability !== undefined) {
+    const probability = Number(config.winProbability);
+    if (isValidWinProbability(probability)) props.winProbability = probability;
+    else warn(`winProbability must be a number from 0 to 1, got "${config.winProbability}"`);
+  }
+
+  if (config.colors !== undefined) {
+    const colors = {};
+    Object.entries(config.colors || {}).forEach(([quadrant, value]) => {
+      const color = normalizeColor(value);
+      if (!QUADRANTS.includes(quadrant)) warn(`unknown color quadrant "${quadrant}"`);
+      else if (!color) warn(`invalid color "${value}" for ${quadrant}, expected a 6-digit hex`);
+      else colors[quadrant] = color;
+    });
+    if (Object.keys(colors).length) props.colors = colors;
+  }
+
+  if (config.theme !== undefined) {
+    const problems = validateTheme(config.theme);
+    if (problems.length) warn(`ignoring theme: ${problems.join('; ')}`);
+    else props.theme = config.theme;
+  }
+
+  if (config.labels !== undefined) {
+    const labels = {};
+    Object.entries(config.labels || {}).forEach(([quadrant, value]) => {
+      if (!QUADRANTS.includes(quadrant)) warn(`unknown label quadrant "${quadrant}"`);
+      else if (!String(value).trim()) warn(`empty label for ${quadrant}`);
+      else labels[quadrant] = String(value).trim();
+    });
+    if (Object.keys(labels).length) props.labels = labels;
+  }
+
+  if (config.hints !== undefined) {
+    const hints = {};
+    Object.entries(config.hints || {}).forEach(([key, value]) => {
+      if (Object.values(HINT_PARAMS).includes(key) && String(value).trim()) hints[key] = String(value);
+      else warn(`ignoring hint "${key}"`);
+    });
+    if (Object.keys(hints).length) props.hints = hints;
+  }
+
+  const lang = config.lang !== undefined ? config.lang : config.locale;
+  if (lang !== undefined) {
+    if (/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(lang)) props.locale = lang;
+    else warn(`invalid language tag "${lang}"`);
+  }
+
+  if (config.messages !== undefined) {
+    const problems = validateMessages(config.messages);
+    if (problems.length) warn(`ignoring messages: ${problems.join('; ')}`);
+    else props.messages = config.messages;
+  }
+
+  if (config.muted !== undefined) {
+    const muted = parseToggle(config.muted);
+    if (muted !== undefined) props.muted = muted;
+    else warn(`muted must be 1 or 0, got "${config.muted}"`);
+  }
+
+  if (config.autoReset !== undefined) {
+    const ms = Number(config.autoReset);
+    if (Number.isFinite(ms) && ms > 0) props.autoResetAfterMs = ms;
+    else warn(`autoReset must be a positive number of milliseconds, got "${config.autoReset}"`);
+  }
+
+  if (config.moveDuration !== undefined) {
+    const ms = Number(config.moveDuration);
+    if (Number.isFinite(ms) && ms >= 50) props.moveDurationMs = ms;
+    else warn(`moveDuration must be at least 50 milliseconds, got "${config.moveDuration}"`);
+  }
+
+  if (config.seed !== undefined) {
+    if (isValidSeed(config.seed)) props.seed = config.seed;
+    else warn(`seed must be a non-empty string or a number, got "${config.seed}"`);
+  }
+
+  if (config.storage !== undefined) {
+    if (STORAGES.includes(config.storage)) props.storage = config.storage;
+    else warn(`unknown storage "${config.storage}", expected one of ${STORAGES.join(', ')}`);
+  }
+
+  if (config.storageKey !== undefined) {
+    if (String(config.storageKey).trim()) props.storageKey = String(config.storageKey).trim();
+    else warn('storageKey must not be empty');
+  }
+
+  if (config.maxPlaysPerDay !== undefined) {
+    const plays = Number(config.maxPlaysPerDay);
+    if (Number.isInteger(plays) && plays > 0) props.maxPlaysPerDay = plays;
+    else warn(`maxPlaysPerDay must be a positive whole number, got "${config.maxPlaysPerDay}"`);
+  }
+
+  if (config.cooldown !== undefined) {
+    const ms = Number(config.cooldown);
+    if (Number.isFinite(ms) && ms > 0) props.cooldownMs = ms;
+    else warn(`cooldown must be a positive number of milliseconds, got "${config.cooldown}"`);
+  }
+
+  if (config.resume !== undefined) {
+    if (RESUMES.includes(config.resume)) props.resume = config.resume;
+    else warn(`unknown resume "${config.resume}", expected one of ${RESUMES.join(', ')}`);
+  }
+
+  if (config.rules !== undefined) {
+    if (RULES.includes(config.rules)) props.rules = config.rules;
+    else warn(`unknown rules "${config.rules}", expected one of ${RULES.join(', ')}`);
+  }
+
+  if (config.rounds !== undefined) {
+    const rounds = Number(config.rounds);
+    if (Number.isInteger(rounds) && rounds >= 1 && rounds <= 5) props.numberRounds = rounds;
+    else warn(`rounds must be a whole number from 1 to 5, got "${config.rounds}"`);
+  }
+
+  if (typeof config.flow === 'string') {
+    if (FLOW_PRESETS[config.flow]) props.flow = config.flow;
+    else warn(`unknown flow "${config.flow}", expected one of ${Object.keys(FLOW_PRESETS).join(', ')}`);
+  } else if (config.flow !== undefined) {
+    const problems = validateFlow(config.flow);
+    if (problems.length) warn(`ignoring flow: ${problems.join('; ')}`);
+    else props.flow = config.flow;
+  }
+
+  // Only paths relative to the page, so a link cannot pull content from another site
+  if (typeof config.pack === 'string') {
+    const isRelative = /^[\w.-]+(\/[\w.-]+)*\.json$/.test(config.pack) && !config.pack.split('/').includes('..');
+    if (isRelative) props.pack = config.pack;
+    else warn(`pack must be a relative path to a .json file, got "${config.pack}"`);
+  } else if (config.pack !== undefined) {
+    const problems = validatePack(config.pack);
+    if (problems.length) warn(`ignoring pack: ${problems.join('; ')}`);
+    else props.pack = config.pack;
+  }
+
+  if (config.features !== undefined) {
+    const features = {};
+    Object.entries(config.features || {}).forEach(([key, value]) => {
+      const enabled = parseToggle(value);
+      if (FEATURE_PARAMS.includes(key) && enabled !== undefined) features[key] = enabled;
+      else warn(`ignoring feature toggle "${key}=${value}"`);
+    });
+    if (Object.keys(features).length) props.features = features;
+  }
+
+  return props;
+};
+
+// Build PaperFortune props from the current URL.
+// The base64 JSON blob is applied first, then individual parameters override it.
+export const loadConfigFromUrl = (location = window.location) => {
+  const params = readParams(location);
+  let config = {};
+
+  if (params.config) {
+    try {
+      const parsed = JSON.parse(decodeBase64(params.config));
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        config = parsed;
+      } else {
+        warn('config blob must be a JSON object');
+      }
+    } catch (e) {
+      warn(`could not read config blob: ${e.message}`);
+    }
+  }
+
+  const overrides = paramsToConfig(params);
+  const merged = { ...config, ...overrides };
+  // Keyed settings merge per key rather than replacing the whole object
+  ['colors', 'labels', 'hints', 'features'].forEach(key => {
+    if (config[key] && overrides[key]) merged[key] = { ...config[key], ...overrides[key] };
+  });
+  return toProps(merged);
+};
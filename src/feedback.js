@@ -0,0 +1,143 @@
+// Sound effects and haptic feedback.
+//
+// Sounds are synthesized with Web Audio, so there are no files to ship:
+//   flip   a short rustle of paper, once per move
+//   tap    a soft click when a color or number is picked
+//   chime  a bell chord when the fortune is revealed
+// The AudioContext is created on the first sound (browsers only allow audio after the
+// player has touched the page, which the first sound always follows).
+//
+// Haptics use navigator.vibrate where the WebView has it. Elsewhere (iOS) a
+// { type: 'haptic', style } message is posted to the host, which can play the
+// device's own haptics; style is one of HAPTIC_STYLES.
+
+import { sendToReactNative } from './bridge';
+
+export const SOUNDS = {
+  FLIP: 'flip',
+  TAP: 'tap',
+  CHIME: 'chime',
+};
+
+export const HAPTIC_STYLES = {
+  LIGHT: 'light',         // a pick
+  SELECTION: 'selection', // a move
+  SUCCESS: 'success',     // the reveal
+};
+
+// Vibration patterns (ms) for navigator.vibrate
+const HAPTIC_PATTERNS = {
+  light: 10,
+  selection: 5,
+  success: [20, 40, 30],
+};
+
+const warn = (message) => console.warn(`[PaperFortune feedback] ${message}`);
+
+// Gain that rises quickly from silence and dies away over `duration` seconds
+const envelope = (ctx, start, peak, duration) => {
+  const gain = ctx.createGain();
+  gain.gain.setValueAtTime(0.0001, start);
+  gain.gain.exponentialRampToValueAtTime(peak, start + 0.005);
+  gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+  gain.connect(ctx.destination);
+  return gain;
+};
+
+// Band-passed noise: paper brushing paper
+const playFlip = (ctx, noise) => {
+  const start = ctx.currentTime;
+  const source = ctx.createBufferSource();
+  source.buffer = noise;
+  source.playbackRate.value = 0.85 + Math.random() * 0.3;
+  const filter = ctx.createBiquadFilter();
+  filter.type = 'bandpass';
+  filter.frequency.value = 1800;
+  filter.Q.value = 0.8;
+  source.connect(filter).connect(envelope(ctx, start, 0.35, 0.09));
+  source.start(start);
+  source.stop(start + 0.1);
+};
+
+// A quick falling blip
+const playTap = (ctx) => {
+  const start = ctx.currentTime;
+  const osc = ctx.createOscillator();
+  osc.type = 'triangle';
+  osc.frequency.setValueAtTime(660, start);
+  osc.frequency.exponentialRampToValueAtTime(440, start + 0.05);
+  osc.connect(envelope(ctx, start, 0.2, 0.07));
+  osc.start(start);
+  osc.stop(start + 0.08);
+};
+
+// A, E and A an octave up, struck one after another
+const CHIME_NOTES = [880, 1318.5, 1760];
+
+const playChime = (ctx) => {
+  const start = ctx.currentTime;
+  CHIME_NOTES.forEach((frequency, index) => {
+    const at = start + index * 0.08;
+    const osc = ctx.createOscillator();
+    osc.type = 'sine';
+    osc.frequency.value = frequency;
+    osc.connect(envelope(ctx, at, 0.12, 1.2));
+    osc.start(at);
+    osc.stop(at + 1.25);
+  });
+};
+
+const createNoise = (ctx) => {
+  const buffer = ctx.createBuffer(1, Math.floor(ctx.sampleRate * 0.1), ctx.sampleRate);
+  const data = buffer.getChannelData(0);
+  for (let i = 0; i < data.length; i += 1) data[i] = Math.random() * 2 - 1;
+  return buffer;
+};
+
+// { play(name), close() }; does nothing where Web Audio is missing
+export const createSoundPlayer = () => {
+  let ctx = null;
+  let noise = null;
+  let failed = false;
+
+  const getContext = () => {
+    if (ctx || failed) return ctx;
+    const AudioContext = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+    if (!AudioContext) {
+      failed = true;
+      return null;
+    }
+    ctx = new AudioContext();
+    noise = createNoise(ctx);
+    return ctx;
+  };
+
+  return {
+    play: (name) => {
+      try {
+        const context = getContext();
+        if (!context) return;
+        if (context.state === 'suspended') context.resume();
+        if (name === SOUNDS.FLIP) playFlip(context, noise);
+        else if (name === SOUNDS.TAP) playTap(context);
+        else if (name === SOUNDS.CHIME) playChime(context);
+      } catch (e) {
+        // Sound is a nicety; stop trying rather than warn on every move
+        failed = true;
+        warn(`sound is off: ${e.message}`);
+      }
+    },
+    close: () => {
+      if (ctx) ctx.close();
+      ctx = null;
+    },
+  };
+};
+
+export const triggerHaptic = (style) => {
+  if (typeof navigator !== 'undefined' && typeof navigator.vibrate === 'function') {
+    navigator.vibrate(HAPTIC_PATTERNS[style]);
+    return;
+  }
+  sendToReactNative({ type: 'haptic', style });
+};
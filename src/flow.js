@@ -0,0 +1,120 @@
+// Game flow: the stages a game runs through, as data.
+//
+//   [
+//     { input: 'color', moves: 'letters' },  // tap a color, move once per letter
+//     { input: 'number', moves: 'value' },   // tap a number, move that many times
+//     { input: 'flap', from: 'opened' },     // tap any flap of the opened teller
+//   ]
+//
+//   input   'color' (first stage only), 'number' or 'flap' (last stage only)
+//   moves   counting stages: 'letters' (of the color name), 'value' (the number tapped),
+//           a fixed count, 'random' (1-8) or { min, max }
+//   from    flap stage: 'opened' - the teller opens after the last count, any flap can be
+//           picked; 'shown' - the numbers shown after the last count open their flaps
+//   choose  flap stage: 'player' (default) or 'auto' - the game picks the flap itself
+//
+// The teller starts in the state the first stage needs.
+
+import { SVG_STATES } from './geometry';
+
+export const STAGE_INPUTS = {
+  COLOR: 'color',
+  NUMBER: 'number',
+  FLAP: 'flap',
+};
+
+const FLAP_FROM = ['opened', 'shown'];
+const FLAP_CHOOSE = ['player', 'auto'];
+
+const countingStages = (rounds) => [
+  { input: STAGE_INPUTS.COLOR, moves: 'letters' },
+  ...Array.from({ length: rounds }, () => ({ input: STAGE_INPUTS.NUMBER, moves: 'value' })),
+];
+
+// Ready-made flows, by name
+export const FLOW_PRESETS = {
+  // Color, one number, then any flap of the opened teller
+  simple: [...countingStages(1), { input: STAGE_INPUTS.FLAP, from: 'opened' }],
+  // Like a paper teller: the last pick opens the flap of a number shown
+  classic: [...countingStages(1), { input: STAGE_INPUTS.FLAP, from: 'shown' }],
+  // One tap: spell the color, then the game opens a flap
+  quick: [
+    { input: STAGE_INPUTS.COLOR, moves: 'letters' },
+    { input: STAGE_INPUTS.FLAP, from: 'opened', choose: 'auto' },
+  ],
+};
+
+// Flow for the `rules` / `numberRounds` shortcuts
+export const getRulesFlow = (rules = 'simple', numberRounds = 1) => {
+  const rounds = Math.max(1, Math.floor(numberRounds) || 1);
+  const from = rules === 'classic' ? 'shown' : 'opened';
+  return [...countingStages(rounds), { input: STAGE_INPUTS.FLAP, from }];
+};
+
+const isValidMoves = (moves, input) => {
+  if (moves === 'letters') return input === STAGE_INPUTS.COLOR;
+  if (moves === 'value') return input === STAGE_INPUTS.NUMBER;
+  if (moves === 'random') return true;
+  if (Number.isInteger(moves)) return moves >= 0;
+  if (moves && typeof moves === 'object') {
+    return Number.isInteger(moves.min) && Number.isInteger(moves.max) && moves.min >= 0 && moves.max >= moves.min;
+  }
+  return false;
+};
+
+// Check a flow (a list of stages); returns a list of problems
+export const validateFlow = (flow) => {
+  if (!Array.isArray(flow) || flow.length === 0) return ['flow must be a non-empty list of stages'];
+  const problems = [];
+  flow.forEach((stage, index) => {
+    const name = `stage ${index + 1}`;
+    const isLast = index === flow.length - 1;
+    if (!stage || !Object.values(STAGE_INPUTS).includes(stage.input)) {
+      problems.push(`${name}: input must be one of ${Object.values(STAGE_INPUTS).join(', ')}`);
+      return;
+    }
+    if (stage.input === STAGE_INPUTS.COLOR && index !== 0) problems.push(`${name}: only the first stage can pick a color`);
+    if (stage.input === STAGE_INPUTS.FLAP) {
+      if (!isLast) problems.push(`${name}: only the last stage can pick a flap`);
+      if (stage.from !== undefined && !FLAP_FROM.includes(stage.from)) {
+        problems.push(`${name}: from must be one of ${FLAP_FROM.join(', ')}`);
+      }
+      if (stage.choose !== undefined && !FLAP_CHOOSE.includes(stage.choose)) {
+        problems.push(`${name}: choose must be one of ${FLAP_CHOOSE.join(', ')}`);
+      }
+      if (stage.choose === 'auto' && index === 0) problems.push(`${name}: an automatic flap needs a stage before it`);
+      return;
+    }
+    if (isLast) problems.push(`${name}: the last stage must pick a flap`);
+    if (!isValidMoves(stage.moves, stage.input)) problems.push(`${name}: invalid moves ${JSON.stringify(stage.moves)}`);
+  });
+  return problems;
+};
+
+// `flow` prop (a preset name or a list of stages) -> list of stages.
+// An invalid flow falls back to the one given by the rules shortcuts, with a warning.
+export const resolveFlow = (flow, rules, numberRounds) => {
+  if (flow === undefined || flow === null) return getRulesFlow(rules, numberRounds);
+  const stages = typeof flow === 'string' ? FLOW_PRESETS[flow] : flow;
+  const problems = stages ? validateFlow(stages) : [`unknown flow preset "${flow}"`];
+  if (problems.length === 0) return stages;
+  console.warn(`[PaperFortune] ignoring flow: ${problems.join('; ')}`);
+  return getRulesFlow(rules, numberRounds);
+};
+
+// State the teller rests in while waiting for `stage`
+export const getStageState = (stage) => {
+  if (stage.input === STAGE_INPUTS.COLOR) return SVG_STATES.CLOSED;
+  if (stage.input === STAGE_INPUTS.FLAP && stage.from !== 'shown') return SVG_STATES.OPENED;
+  return SVG_STATES.HORIZONTAL_NUMS;
+};
+
+// Moves a counting stage produces. `input` is { letters, number, random }.
+export const getStageMoves = (stage, { letters, number, random = Math.random }) => {
+  const { moves } = stage;
+  if (moves === 'letters') return letters;
+  if (moves === 'value') return number;
+  if (moves === 'random') return 1 + Math.floor(random() * 8);
+  if (moves && typeof moves === 'object') return moves.min + Math.floor(random() * (moves.max - moves.min + 1));
+  return moves;
+};
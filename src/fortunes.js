@@ -0,0 +1,352 @@
+// Fortune content and how one is chosen for the opened flap.
+//
+// A fortune is a plain string or an object:
+//   { id: 'coffee', text: 'Free coffee! ☕', tier: 'rare', weight: 1, cap: { count: 1, per: 'day' },
+//     outcome: 'win', payload: { coupon: 'COFFEE1' } }
+// and `fortunes` is a list of them, or an object keyed by flap 1-8. Plain strings are wins.
+//
+// The reveal can show more than the text, which stays the short version (under the flap,
+// in events and for screen readers):
+//   title   a heading, e.g. 'You won 10% off'
+//   body    longer text with basic markup (see markup.js)
+//   image   an image URL, or { src, alt }
+//   cta     a button, { label: 'Claim', url: 'myapp://coupons/TEN', action: 'claim' }; tapping it
+//           sends a fortuneAction event. Unsafe image or CTA URLs (javascript: and the like) are dropped.
+//
+// The built-in pick is weighted; `weight` defaults to the weight of the tier. With a
+// `winProbability`, it first decides win or not and then picks by weight within that group,
+// falling back to NON_WINNING_FORTUNES when no fortune can lose. A fortune
+// with a `cap` is left out once the play history holds `count` reveals of it within the
+// period. A `selectFortune(context)` strategy can replace the built-in pick, and a
+// predetermined `outcome` from the host overrides both.
+
+// Default fortunes - ALL WINNING MESSAGES! 🎉
+// (English; other languages are in i18n.js)
+export const DEFAULT_FORTUNES = [
+  'You are a winner! 🏆',
+  'Great fortune awaits you! ✨',
+  'Success is in your future! 🌟',
+  'Lucky you! Amazing things coming! 🍀',
+  'Victory is yours! 🎯',
+  'You will achieve greatness! 💫',
+  'Fortune smiles upon you! 😊',
+  'Your dreams will come true! 🌈',
+];
+
+// Shown when a game may lose but only winning fortunes were given
+export const NON_WINNING_FORTUNES = [
+  { id: 'no-win-1', text: 'Not this time... 🍂', outcome: 'lose' },
+  { id: 'no-win-2', text: 'The stars are quiet today 🌙', outcome: 'neutral' },
+  { id: 'no-win-3', text: 'So close! Try again 🔁', outcome: 'retry' },
+];
+
+// What a fortune means for the player
+export const FORTUNE_OUTCOMES = {
+  WIN: 'win',
+  LOSE: 'lose',
+  NEUTRAL: 'neutral', // neither a prize nor a loss
+  RETRY: 'retry',     // the player may play again
+};
+
+// Rarity tiers and their default weights
+export const FORTUNE_TIERS = {
+  common: 10,
+  uncommon: 4,
+  rare: 1,
+};
+
+// How a fortune is chosen for the opened flap
+export const FORTUNE_MAPPING = {
+  RANDOM: 'random', // weighted pick, regardless of flap
+  FLAP: 'flap',     // each flap always shows its own fortune
+};
+
+// Periods a cap counts over: 'day' and 'week' are calendar days in local time
+const CAP_PERIODS = ['session', 'day', 'week', 'ever'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Earliest reveal time that counts towards a cap
+const getPeriodStart = (per, now) => {
+  if (per === 'ever') return 0;
+  const midnight = new Date(now);
+  midnight.setHours(0, 0, 0, 0);
+  return per === 'week' ? midnight.getTime() - 6 * DAY_MS : midnight.getTime();
+};
+
+const hasScheme = (url) => /^[a-z][a-z0-9+.-]*:/i.test(url);
+
+// http(s), a path, or an inline raster or SVG image
+export const isSafeImageUrl = (url) => typeof url === 'string' && url.trim() !== ''
+  && (!hasScheme(url) || /^(https?:|data:image\/(png|jpe?g|gif|webp|svg\+xml)[;,])/i.test(url));
+
+// A web or app link, or a path; never script, data or local files
+export const isSafeLinkUrl = (url) => typeof url === 'string' && url.trim() !== ''
+  && !/^\s*(javascript|vbscript|data|file):/i.test(url);
+
+const normalizeImage = (image) => {
+  const { src, alt = '' } = typeof image === 'string' ? { src: image } : image || {};
+  return isSafeImageUrl(src) ? { src, alt: String(alt) } : null;
+};
+
+const normalizeCta = (cta) => {
+  if (!cta || typeof cta !== 'object' || !String(cta.label || '').trim()) return null;
+  if (cta.url !== undefined && !isSafeLinkUrl(cta.url)) return null;
+  return { label: String(cta.label), url: cta.url ?? null, action: cta.action ?? null };
+};
+
+// String or object -> { id, text, tier, weight, cap, outcome, payload, title, body, image, cta },
+// or null when there is no text
+const normalizeFortune = (value, id) => {
+  if (typeof value === 'string') {
+    if (!value.trim()) return null;
+    return {
+      id,
+      text: value,
+      tier: 'common',
+      weight: FORTUNE_TIERS.common,
+      cap: null,
+      outcome: FORTUNE_OUTCOMES.WIN,
+      payload: null,
+      title: null,
+      body: null,
+      image: null,
+      cta: null,
+    };
+  }
+  if (!value || typeof value !== 'object' || !String(value.text || '').trim()) return null;
+  const tier = value.tier || 'common';
+  return {
+    id: value.id !== undefined ? String(value.id) : id,
+    text: String(value.text),
+    tier,
+    weight: value.weight ?? FORTUNE_TIERS[tier] ?? FORTUNE_TIERS.common,
+    cap: value.cap || null,
+    outcome: value.outcome || FORTUNE_OUTCOMES.WIN,
+    payload: value.payload ?? null,
+    title: value.title ? String(value.title) : null,
+    body: value.body ? String(value.body) : null,
+    image: value.image ? normalizeImage(value.image) : null,
+    cta: normalizeCta(value.cta),
+  };
+};
+
+// Normalize fortunes (list, or object keyed by flap 1-8) to entries that know their flap.
+// Lists are assigned to flaps in order, so entry 1 belongs to flap 1.
+export const getFortuneEntries = (fortunes) => {
+  const raw = Array.isArray(fortunes)
+    ? fortunes.map((value, index) => [index + 1, value, `fortune-${index + 1}`])
+    : fortunes && typeof fortunes === 'object'
+      ? Object.keys(fortunes)
+        .sort((a, b) => Number(a) - Number(b))
+        .map(key => [Number(key), fortunes[key], `flap-${key}`])
+      : [];
+  return raw
+    .map(([flap, value, id]) => {
+      const entry = normalizeFortune(value, id);
+      return entry && { ...entry, flap };
+    })
+    .filter(Boolean);
+};
+
+// The same ids (fortune-1..8) as when the built-in list is passed in as `fortunes`
+const DEFAULT_ENTRIES = getFortuneEntries(DEFAULT_FORTUNES);
+
+const NON_WINNING_ENTRIES = NON_WINNING_FORTUNES.map(value => normalizeFortune(value, value.id));
+
+// Built-in fortunes in the player's language, when the context has texts for them
+const getDefaultEntries = ({ defaultFortunes }) => (defaultFortunes
+  ? getFortuneEntries(defaultFortunes)
+  : DEFAULT_ENTRIES);
+
+const getNonWinningEntries = ({ nonWinningTexts }) => (nonWinningTexts
+  ? NON_WINNING_ENTRIES.map((entry, index) => ({ ...entry, text: nonWinningTexts[index] || entry.text }))
+  : NON_WINNING_ENTRIES);
+
+// Whether the history already holds as many reveals of `entry` as its cap allows
+const isCapped = (entry, { history = [], sessionId, now = Date.now() }) => {
+  if (!entry.cap) return false;
+  const { count = 1, per = 'ever' } = entry.cap;
+  const since = getPeriodStart(per, now);
+  const used = history.filter(play => play.fortuneId === entry.id
+    && (per === 'session' ? play.sessionId === sessionId : play.timestamp >= since)).length;
+  return used >= count;
+};
+
+// Pick one entry with probability proportional to its weight
+export const weightedPick = (entries, random = Math.random) => {
+  const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+  if (total <= 0) return entries[Math.floor(random() * entries.length)];
+  let roll = random() * total;
+  return entries.find(entry => (roll -= entry.weight) < 0) || entries[entries.length - 1];
+};
+
+// Weighted pick, after deciding win or not when there is a win probability
+const pickWeighted = (entries, context) => {
+  const { random = Math.random, winProbability } = context;
+  if (winProbability === undefined || winProbability === null) return weightedPick(entries, random);
+  const wins = entries.filter(entry => entry.outcome === FORTUNE_OUTCOMES.WIN);
+  const others = entries.filter(entry => entry.outcome !== FORTUNE_OUTCOMES.WIN);
+  if (random() < winProbability) return weightedPick(wins.length ? wins : entries, random);
+  return weightedPick(others.length ? others : getNonWinningEntries(context), random);
+};
+
+// Built-in pick for a flap; reports which rule produced it:
+//   'random'      - weighted pick from the fortunes not capped
+//   'flap'        - the fortune assigned to this flap
+//   'flap-wrap'   - fewer fortunes than flaps, so flaps wrap around the list
+//   'flap-capped' - this flap's fortune is capped, weighted pick from the rest
+//   'exhausted'   - every fortune is capped, weighted pick ignoring the caps
+//   'default'     - no usable fortunes given, built-in fortune for this flap
+// `context` is { flap, history, sessionId, now, random, winProbability }, plus optional
+// `defaultFortunes` and `nonWinningTexts` to use instead of the English built-ins.
+export const pickFortune = (fortunes, mapping, context) => {
+  const entries = getFortuneEntries(fortunes);
+  if (entries.length === 0) {
+    const defaults = getDefaultEntries(context);
+    return { fortune: defaults[(context.flap - 1) % defaults.length], rule: 'default' };
+  }
+
+  const eligible = entries.filter(entry => !isCapped(entry, context));
+  if (eligible.length === 0) return { fortune: pickWeighted(entries, context), rule: 'exhausted' };
+
+  if (mapping === FORTUNE_MAPPING.FLAP) {
+    const assigned = entries.find(entry => entry.flap === context.flap);
+    const wrapped = assigned || entries[(context.flap - 1) % entries.length];
+    if (eligible.includes(wrapped)) return { fortune: wrapped, rule: assigned ? 'flap' : 'flap-wrap' };
+    return { fortune: pickWeighted(eligible, context), rule: 'flap-capped' };
+  }
+
+  return { fortune: pickWeighted(eligible, context), rule: 'random' };
+};
+
+// What a strategy returned -> an entry: an entry, the id of one, or a new fortune object
+const resolveChoice = (choice, entries) => {
+  if (choice === null || choice === undefined) return null;
+  if (typeof choice === 'string') return entries.find(entry => entry.id === choice) || null;
+  if (entries.includes(choice)) return choice;
+  const entry = normalizeFortune(choice, 'custom');
+  return entry && { ...entry, flap: choice.flap };
+};
+
+// Choose the fortune for a flap: the predetermined outcome if there is one ('predetermined'),
+// otherwise through `strategy` when one is given. An outcome whose fortune is missing
+// returns null rather than a fortune the host did not decide on.
+// The strategy receives the context plus every fortune entry, the ones not capped
+// and `pickDefault()` for the built-in pick. It returns an entry, a fortune id or a
+// new fortune object; returning nothing (or throwing) falls back to the built-in pick.
+// `context` is { flap, color, colorName, number, history, sessionId, now, random, winProbability, outcome }.
+export const chooseFortune = (fortunes, mapping, context, strategy) => {
+  const builtIn = () => pickFortune(fortunes, mapping, context);
+  const entries = getFortuneEntries(fortunes);
+
+  if (context.outcome) {
+    const fortuneId = String(context.outcome.fortuneId);
+    const fortune = entries.find(entry => entry.id === fortuneId);
+    return fortune ? { fortune, rule: 'predetermined' } : null;
+  }
+
+  if (!strategy) return builtIn();
+  try {
+    const choice = strategy({
+      ...context,
+      mapping,
+      fortunes: entries,
+      eligible: entries.filter(entry => !isCapped(entry, context)),
+      pickDefault: () => builtIn().fortune,
+    });
+    const fortune = resolveChoice(choice, entries);
+    if (fortune) return { fortune, rule: 'strategy' };
+    if (choice !== null && choice !== undefined) {
+      console.warn('[PaperFortune] selectFortune returned an unknown fortune, using the built-in pick');
+    }
+  } catch (e) {
+    console.warn(`[PaperFortune] selectFortune failed, using the built-in pick: ${e.message}`);
+  }
+  return builtIn();
+};
+
+// Check fortunes from outside (bridge, URL); returns a list of problems
+export const validateFortunes = (fortunes) => {
+  const isList = Array.isArray(fortunes);
+  if (!isList && (!fortunes || typeof fortunes !== 'object')) {
+    return ['fortunes must be a non-empty list, or an object keyed by flap 1-8'];
+  }
+
+  const problems = [];
+  const items = isList
+    ? fortunes.map((value, index) => [`fortune ${index + 1}`, value])
+    : Object.entries(fortunes).map(([key, value]) => [`flap ${key}`, value]);
+  if (items.length === 0) return ['fortunes must be a non-empty list, or an object keyed by flap 1-8'];
+
+  if (!isList) {
+    Object.keys(fortunes).filter(key => !/^[1-8]$/.test(key)).forEach(key => {
+      problems.push(`unknown flap "${key}", expected 1-8`);
+    });
+  }
+
+  const ids = new Set();
+  items.forEach(([name, value]) => {
+    const entry = normalizeFortune(value, name);
+    if (!entry) {
+      problems.push(`${name} needs a text`);
+      return;
+    }
+    if (typeof value === 'string') return;
+    if (value.id !== undefined) {
+      if (ids.has(entry.id)) problems.push(`duplicate fortune id "${entry.id}"`);
+      ids.add(entry.id);
+    }
+    if (value.weight !== undefined && !(Number.isFinite(value.weight) && value.weight >= 0)) {
+      problems.push(`${name}: weight must be a number of 0 or more`);
+    }
+    if (value.weight === undefined && value.tier !== undefined && !(value.tier in FORTUNE_TIERS)) {
+      problems.push(`${name}: unknown tier "${value.tier}" needs a weight`);
+    }
+    if (value.outcome !== undefined && !Object.values(FORTUNE_OUTCOMES).includes(value.outcome)) {
+      problems.push(`${name}: outcome must be one of ${Object.values(FORTUNE_OUTCOMES).join(', ')}`);
+    }
+    if (value.payload !== undefined && (!value.payload || typeof value.payload !== 'object')) {
+      problems.push(`${name}: payload must be an object`);
+    }
+    ['title', 'body'].forEach(key => {
+      if (value[key] !== undefined && typeof value[key] !== 'string') problems.push(`${name}: ${key} must be a string`);
+    });
+    if (value.image !== undefined) {
+      const src = typeof value.image === 'string' ? value.image : value.image && value.image.src;
+      if (!isSafeImageUrl(src)) problems.push(`${name}: image must be an http(s), relative or data:image URL, or { src, alt }`);
+    }
+    if (value.cta !== undefined) {
+      const { label, url, action } = value.cta || {};
+      if (!value.cta || typeof value.cta !== 'object') problems.push(`${name}: cta must be an object`);
+      else if (typeof label !== 'string' || !label.trim()) problems.push(`${name}: cta.label must be a non-empty string`);
+      else if (url !== undefined && !isSafeLinkUrl(url)) problems.push(`${name}: cta.url is not an allowed link`);
+      else if (action !== undefined && typeof action !== 'string') problems.push(`${name}: cta.action must be a string`);
+    }
+    if (value.cap !== undefined) {
+      const { count = 1, per = 'ever' } = value.cap || {};
+      if (!value.cap || typeof value.cap !== 'object') problems.push(`${name}: cap must be an object`);
+      else if (!Number.isInteger(count) || count < 1) problems.push(`${name}: cap.count must be a positive whole number`);
+      else if (!CAP_PERIODS.includes(per)) problems.push(`${name}: cap.per must be one of ${CAP_PERIODS.join(', ')}`);
+    }
+  });
+  return problems;
+};
+
+// Check a predetermined outcome { fortuneId, flap? }; with `fortunes`, also that the id exists
+export const validateOutcome = (outcome, fortunes) => {
+  if (!outcome || typeof outcome !== 'object') return ['outcome must be an object'];
+  const problems = [];
+  const { fortuneId, flap } = outcome;
+  if (fortuneId === undefined || fortuneId === null || String(fortuneId).trim() === '') {
+    problems.push('outcome.fortuneId is required');
+  } else if (fortunes && !getFortuneEntries(fortunes).some(entry => entry.id === String(fortuneId))) {
+    problems.push(`unknown fortune id "${fortuneId}"`);
+  }
+  if (flap !== undefined && !(Number.isInteger(flap) && flap >= 1 && flap <= 8)) {
+    problems.push('outcome.flap must be a flap number 1-8');
+  }
+  return problems;
+};
+
+export const isValidWinProbability = (value) => Number.isFinite(value) && value >= 0 && value <= 1;
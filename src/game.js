@@ -0,0 +1,375 @@
+// The rules of the game without any rendering: the state the teller is in, the stage
+// waiting for the player, move counting and the fortune pick. PaperFortune draws and
+// animates it; the same core can drive another UI, a native canvas or a test.
+//
+//   const game = createGame({ flow: 'classic', fortunes: ['Win! 🏆'], seed: 'test' });
+//   game.subscribe((state, events) => render(state));
+//   game.selectColor('red');   // counts 3 moves for 'red'
+//   game.selectNumber(game.getState().availableNumbers[0]);
+//   game.openFlap(game.getState().availableNumbers[0]);
+//   game.getState().revealedFortune.text; // 'Win! 🏆'
+//
+// Every change is synchronous. The teller lands on its new state at once; `count` in the
+// state describes the moves that led there, for a UI that wants to animate them:
+//   {
+//     state,            SVG state the teller rests in (see geometry.js)
+//     turn, stage,      index of the stage waiting for the player, and that stage (see flow.js)
+//     selection,        { color, colorName, number, numbers } picked this game
+//     count,            { turn, moves, fromState, tokens } of the last pick, or null
+//     revealedFortune,  the fortune shown under the lifted flap, or null
+//     availableColors, availableNumbers   what the stage takes now
+//   }
+// Listeners receive the new state and the events of the change ({ type, ...data }, see
+// GAME_EVENTS); a play limit, an outcome whose fortune is missing or setState sends a
+// state with no change or no events.
+// selectColor, selectNumber and openFlap throw when the game cannot take that pick;
+// play(target) is the lenient version for taps and returns whether it was taken.
+//
+// Options (all optional; setOptions updates them between picks):
+//   flow, rules, numberRounds       as the PaperFortune props
+//   fortunes, mapping, selectFortune, winProbability, outcome, seed
+//   colorNames    { red: 'rojo', ... } spelled on the color stage (default: the theme's)
+//   locale        for counting letters
+//   defaultFortunes, nonWinningTexts   built-in texts in the player's language
+//   getHistory    () => plays, for fortune caps and play limits
+//   maxPlaysPerDay, cooldownMs      play limits
+//   sessionId
+//   initial       a saved state to start from (a snapshot or a getState() result)
+
+import { GAME_EVENTS } from './bridge';
+import { SVG_STATES, QUADRANTS, getStateNumbers, isHorizontalShape, isVerticalShape } from './geometry';
+import { DEFAULT_THEME } from './theme';
+import { DEFAULT_FORTUNES, FORTUNE_MAPPING, FORTUNE_OUTCOMES, chooseFortune } from './fortunes';
+import { createRandom, isValidSeed } from './random';
+import { getPlayLimit, validateGameState, toGameState } from './storage';
+import { STAGE_INPUTS, resolveFlow, getStageState, getStageMoves } from './flow';
+import { splitGraphemes } from './i18n';
+
+// Flap number -> lifted flap state
+export const FLAP_STATE_BY_NUMBER = {
+  1: SVG_STATES.FLAP_1,
+  2: SVG_STATES.FLAP_2,
+  3: SVG_STATES.FLAP_3,
+  4: SVG_STATES.FLAP_4,
+  5: SVG_STATES.FLAP_5,
+  6: SVG_STATES.FLAP_6,
+  7: SVG_STATES.FLAP_7,
+  8: SVG_STATES.FLAP_8,
+};
+
+const ALL_FLAPS = [1, 2, 3, 4, 5, 6, 7, 8];
+
+// Shape shown at the end of move `move` (1-based): every move turns the teller to the
+// other axis, so from the closed or horizontal teller it is vertical, horizontal, ...
+export const getMoveShape = (move, fromState) => {
+  const odd = move % 2 === 1;
+  if (isVerticalShape(fromState)) return odd ? SVG_STATES.HORIZONTAL : SVG_STATES.VERTICAL;
+  return odd ? SVG_STATES.VERTICAL : SVG_STATES.HORIZONTAL;
+};
+
+// Numbers shown after `moves` moves from `fromState`
+const getNumsStateAfter = (moves, fromState) => (isHorizontalShape(getMoveShape(moves, fromState))
+  ? SVG_STATES.HORIZONTAL_NUMS
+  : SVG_STATES.VERTICAL_NUMS);
+
+// Counting shown while the teller moves: the color word is spelled letter by
+// letter on the first move, the picked number counted up on the second.
+// Each token lights up at its `step`; spaces are shown but not counted.
+export const getSpelling = (word, locale) => {
+  let count = 0;
+  const tokens = splitGraphemes(word, locale).map(char => {
+    if (/\s/.test(char)) return { text: char, step: null };
+    count += 1;
+    return { text: char, step: count };
+  });
+  return { tokens, count };
+};
+
+const getCounting = (number) => ({
+  tokens: Array.from({ length: number }, (_, i) => ({ text: String(i + 1), step: i + 1 })),
+  count: number,
+});
+
+const DEFAULT_COLOR_NAMES = Object.fromEntries(QUADRANTS.map(q => [q, DEFAULT_THEME.quadrants[q].name]));
+
+export const createGame = (initialOptions = {}) => {
+  let options = { ...initialOptions };
+  let stages = resolveFlow(options.flow, options.rules, options.numberRounds);
+  let random = createRandom(options.seed);
+  const listeners = new Set();
+
+  const getInitialState = () => getStageState(stages[0]);
+  const fresh = () => ({ state: getInitialState(), turn: 0, selection: {}, count: null, revealedFortune: null });
+
+  // A saved or controlled state -> the fields the game keeps; throws when it cannot be played
+  const checkState = (saved) => {
+    const problems = validateGameState(saved);
+    if (problems.length) throw new Error(problems.join('; '));
+    if (saved.turn >= stages.length) throw new Error('turn does not fit the game flow');
+    return { ...toGameState(saved), count: saved.count || null };
+  };
+
+  let current = options.initial ? checkState(options.initial) : fresh();
+
+  // A flow changed mid-game ends on its last stage
+  const getStage = () => stages[Math.min(current.turn, stages.length - 1)];
+
+  const getState = () => {
+    const stage = getStage();
+    const waiting = !current.revealedFortune;
+    const isAuto = stage.input === STAGE_INPUTS.FLAP && stage.choose === 'auto';
+    return {
+      ...current,
+      stage,
+      availableColors: waiting && stage.input === STAGE_INPUTS.COLOR ? QUADRANTS.slice() : [],
+      availableNumbers: waiting && stage.input !== STAGE_INPUTS.COLOR && !isAuto ? getStateNumbers(current.state) : [],
+    };
+  };
+
+  const commit = (next, events = []) => {
+    current = next;
+    const state = getState();
+    listeners.forEach(listener => listener(state, events));
+  };
+
+  const getLimit = () => getPlayLimit(options.getHistory ? options.getHistory() : [], {
+    maxPlaysPerDay: options.maxPlaysPerDay,
+    cooldownMs: options.cooldownMs,
+  });
+
+  // Without fortunes the built-in ones are played as a list, as PaperFortune does, so
+  // outcomes and history name them by the same ids (fortune-1..8)
+  const getFortunes = () => options.fortunes || options.defaultFortunes || DEFAULT_FORTUNES;
+
+  // Fortunes keyed by flap imply flap mapping unless told otherwise
+  const getMapping = () => options.mapping
+    || (!Array.isArray(getFortunes()) ? FORTUNE_MAPPING.FLAP : FORTUNE_MAPPING.RANDOM);
+
+  // Lift a flap and pick its fortune. A predetermined outcome with a flap opens that
+  // flap, whichever one was picked. `isAuto` when the game picked the flap itself.
+  // An outcome whose fortune is missing opens nothing and sends outcomeFailed;
+  // returns the problem then.
+  const reveal = (flap, isAuto) => {
+    const { outcome, seed } = options;
+    const flapNumber = (outcome && outcome.flap) || flap;
+    const choice = chooseFortune(getFortunes(), getMapping(), {
+      ...current.selection,
+      flap: flapNumber,
+      history: options.getHistory ? options.getHistory().slice() : [],
+      sessionId: options.sessionId,
+      now: Date.now(),
+      random,
+      winProbability: options.winProbability,
+      outcome,
+      defaultFortunes: options.defaultFortunes,
+      nonWinningTexts: options.nonWinningTexts,
+    }, options.selectFortune);
+    if (!choice) {
+      const problem = `outcome fortune "${outcome.fortuneId}" is not among the fortunes`;
+      commit(current, [{ type: GAME_EVENTS.OUTCOME_FAILED, fortuneId: String(outcome.fortuneId), problems: [problem] }]);
+      return problem;
+    }
+
+    const { fortune: picked, rule } = choice;
+    commit({
+      ...current,
+      state: FLAP_STATE_BY_NUMBER[flapNumber] || SVG_STATES.FLAP_1,
+      revealedFortune: {
+        flap: flapNumber,
+        text: picked.text,
+        id: picked.id,
+        tier: picked.tier,
+        outcome: picked.outcome,
+        payload: picked.payload,
+        title: picked.title,
+        body: picked.body,
+        image: picked.image,
+        cta: picked.cta,
+      },
+    }, [
+      { type: GAME_EVENTS.FLAP_OPENED, flapNumber },
+      {
+        type: GAME_EVENTS.FORTUNE_REVEALED,
+        fortune: picked.text,
+        fortuneId: picked.id,
+        tier: picked.tier,
+        outcome: picked.outcome,
+        payload: picked.payload,
+        flapNumber,
+        tappedFlap: isAuto ? null : flap,
+        mappingRule: rule,
+        seed: isValidSeed(seed) ? seed : null,
+        success: picked.outcome === FORTUNE_OUTCOMES.WIN,
+      },
+    ]);
+  };
+
+  // A color or number pick: count the moves and settle where the next stage waits,
+  // opened for its flaps, otherwise on the numbers shown
+  const count = (target) => {
+    const stage = getStage();
+    const fromState = current.state;
+    let moves;
+    let tokens;
+    let selection;
+    let event;
+    if (target.kind === 'color') {
+      // By default, move once per letter of the color name
+      const { quadrant } = target;
+      const colorName = (options.colorNames && options.colorNames[quadrant]) || DEFAULT_COLOR_NAMES[quadrant];
+      const spelling = getSpelling(colorName, options.locale);
+      moves = getStageMoves(stage, { letters: spelling.count, random });
+      tokens = stage.moves === 'letters' ? spelling.tokens : getCounting(moves).tokens;
+      selection = { color: quadrant, colorName, numbers: [] };
+      event = { type: GAME_EVENTS.COLOR_SELECTED, color: quadrant, colorName, animationCount: moves };
+    } else {
+      // By default, move as many times as the number
+      const { number } = target;
+      moves = getStageMoves(stage, { number, random });
+      tokens = getCounting(moves).tokens;
+      const numbers = [...(current.selection.numbers || []), number];
+      selection = { ...current.selection, number, numbers };
+      event = {
+        type: GAME_EVENTS.NUMBER_SELECTED,
+        number,
+        source: fromState,
+        animationCount: moves,
+        round: numbers.length,
+      };
+    }
+
+    const turn = current.turn + 1;
+    const state = getStageState(stages[turn]) === SVG_STATES.OPENED
+      ? SVG_STATES.OPENED
+      : getNumsStateAfter(moves, fromState);
+    commit({
+      ...current,
+      state,
+      turn,
+      selection,
+      count: { turn, moves, fromState, tokens },
+    }, [event]);
+  };
+
+  // The first input of a game, whatever the stage waits for, is held to the play limit.
+  // A limited input is announced with playLimited and not taken.
+  const checkLimit = () => {
+    if (current.turn !== 0) return null;
+    const limit = getLimit();
+    if (limit) commit(current, [{ type: GAME_EVENTS.PLAY_LIMITED, ...limit }]);
+    return limit;
+  };
+
+  const assertNotLimited = () => {
+    const limit = checkLimit();
+    if (limit) throw new Error(`Play limit reached (${limit.reason}) until ${new Date(limit.until).toISOString()}`);
+  };
+
+  // A tap on a hit area: { kind: 'color', quadrant } or { kind: 'number' | 'flap', number }.
+  // Only the input the current stage waits for is taken; returns whether it was.
+  const play = (target) => {
+    const stage = getStage();
+    if (current.revealedFortune || !target) return false;
+
+    if (stage.input === STAGE_INPUTS.FLAP) {
+      // Any flap of the opened teller, or the flap of a number shown
+      const kind = stage.from === 'shown' ? 'number' : 'flap';
+      if (stage.choose === 'auto' || target.kind !== kind) return false;
+      if (checkLimit()) return false;
+      return !reveal(target.number, false);
+    }
+    if (target.kind !== stage.input) return false;
+
+    if (checkLimit()) return false;
+    count(target);
+    return true;
+  };
+
+  const selectColor = (color) => {
+    if (!QUADRANTS.includes(color)) throw new Error(`Unknown color "${color}"`);
+    if (current.revealedFortune || getStage().input !== STAGE_INPUTS.COLOR) {
+      throw new Error(`Cannot select a color in state "${current.state}"`);
+    }
+    assertNotLimited();
+    play({ kind: 'color', quadrant: color });
+  };
+
+  // The number shown (or flap) the player would tap: counts, or opens its flap at the last stage
+  const selectNumber = (number) => {
+    const value = Number(number);
+    if (!Number.isInteger(value) || value < 1 || value > 8) throw new Error(`Invalid number "${number}"`);
+    if (!getState().availableNumbers.includes(value)) {
+      throw new Error(`Cannot select number ${value} in state "${current.state}"`);
+    }
+    if (getStage().input === STAGE_INPUTS.FLAP) {
+      openFlap(value);
+      return;
+    }
+    assertNotLimited();
+    play({ kind: current.state === SVG_STATES.OPENED ? 'flap' : 'number', number: value });
+  };
+
+  // Open a flap at the last stage. Without a number the game picks one of those it may
+  // open, as an automatic flap stage does.
+  const openFlap = (flap) => {
+    const stage = getStage();
+    if (stage.input !== STAGE_INPUTS.FLAP) throw new Error('No flap can be opened before the last stage');
+    if (current.revealedFortune) throw new Error('The fortune is already revealed');
+    const flaps = current.state === SVG_STATES.OPENED ? ALL_FLAPS : getStateNumbers(current.state);
+    if (flap !== undefined && flap !== null && !flaps.includes(Number(flap))) {
+      throw new Error(`Cannot open flap ${flap} in state "${current.state}"`);
+    }
+    assertNotLimited();
+    const problem = flap === undefined || flap === null
+      ? reveal(flaps[Math.floor(random() * flaps.length)], true)
+      : reveal(Number(flap), false);
+    if (problem) throw new Error(`Cannot open a flap: ${problem}`);
+  };
+
+  // Back to the first stage. Every game restarts the random sequence,
+  // so the same seed and the same picks always reveal the same fortune.
+  const reset = (reason = 'api') => {
+    random = createRandom(options.seed);
+    commit(fresh(), [{ type: GAME_EVENTS.RESET, reason }]);
+  };
+
+  // Continue a saved game, before the player has started this one
+  const restore = (saved) => {
+    const next = checkState(saved);
+    if (current.turn !== 0 || current.state !== getInitialState() || current.revealedFortune) {
+      throw new Error('Cannot restore a game once the player has started');
+    }
+    commit({ ...next, count: null }, [{
+      type: GAME_EVENTS.RESUMED,
+      state: next.state,
+      turn: next.turn,
+      revealedFortune: next.revealedFortune,
+    }]);
+  };
+
+  return {
+    getState,
+    play,
+    selectColor,
+    selectNumber,
+    openFlap,
+    reset,
+    restore,
+    // Put the game in a state as it is (a controlled UI owns the state); no events
+    setState: (state) => commit(checkState(state)),
+    setOptions: (next) => {
+      const previous = options;
+      options = { ...options, ...next };
+      if (options.flow !== previous.flow || options.rules !== previous.rules
+        || options.numberRounds !== previous.numberRounds) {
+        stages = resolveFlow(options.flow, options.rules, options.numberRounds);
+      }
+      if (options.seed !== previous.seed) random = createRandom(options.seed);
+    },
+    getInitialState,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
@@ -0,0 +1,294 @@
+// Geometry of the paper fortune teller.
+//
+// Every state the teller can be drawn in is described here as data and drawn by
+// the single OrigamiSVG renderer in PaperFortune.jsx. Colors are references into
+// the theme ('red', 'red.dark', 'red.mid', see theme.js) rather than hex values,
+// so a theme change recolors every state at once.
+//
+// Every state is drawn centered in one shared VIEWPORT, so the teller keeps its size
+// and place from state to state; `offset` is where a state's canvas starts in it.
+//
+// A state has a canvas size and four ordered layers:
+//   flaps     - outer colored shapes (the color targets when closed)
+//   creases   - fold lines drawn over the flaps
+//   triangles - inner triangles (number targets, or flaps once fully opened)
+//   labels    - text anchors, drawn on top
+// The closed state also has `words`: where each quadrant's color name is written,
+// and a lifted flap state a `room`: the free space the fortune is written in.
+// Shapes with a `target` are hit areas when the state is interactive.
+
+// SVG States
+export const SVG_STATES = {
+  CLOSED: 'closed',
+  HORIZONTAL_NUMS: 'horizontalNums',
+  VERTICAL_NUMS: 'verticalNums',
+  HORIZONTAL: 'horizontal',
+  VERTICAL: 'vertical',
+  OPENED: 'opened',
+  FLAP_1: 'flap1',
+  FLAP_2: 'flap2',
+  FLAP_3: 'flap3',
+  FLAP_4: 'flap4',
+  FLAP_5: 'flap5',
+  FLAP_6: 'flap6',
+  FLAP_7: 'flap7',
+  FLAP_8: 'flap8',
+};
+
+// States a game can rest in; the folding shapes only appear mid-move
+export const RESTING_STATES = Object.values(SVG_STATES)
+  .filter(state => state !== SVG_STATES.HORIZONTAL && state !== SVG_STATES.VERTICAL);
+
+export const isHorizontalShape = (state) =>
+  state === SVG_STATES.HORIZONTAL || state === SVG_STATES.HORIZONTAL_NUMS;
+
+export const isVerticalShape = (state) =>
+  state === SVG_STATES.VERTICAL || state === SVG_STATES.VERTICAL_NUMS;
+
+// Quadrants in reading order: top left, top right, bottom left, bottom right
+export const QUADRANTS = ['red', 'blue', 'green', 'yellow'];
+
+export const CREASE_WIDTH = 2;
+
+// Fits the widest and the tallest canvas (the lifted flaps)
+export const VIEWPORT = { width: 662, height: 662 };
+
+// Closed teller: four outer flaps, one per color
+const CLOSED = {
+  width: 456,
+  height: 437,
+  flaps: [
+    {
+      id: 'upper-left-click',
+      d: 'M2.0 1.9C14.5 -8.6 223.5 28.4 223.5 28.4V213.0H38.5C38.5 213.0 -10.5 12.3 2.0 1.9Z',
+      fill: 'red',
+      target: { kind: 'color', quadrant: 'red' },
+    },
+    {
+      id: 'upper-right-click',
+      d: 'M445.1 2.2C432.6 -8.2 223.6 28.7 223.6 28.7V213.4H408.6C408.6 213.4 457.6 12.6 445.1 2.2Z',
+      fill: 'blue',
+      target: { kind: 'color', quadrant: 'blue' },
+    },
+    {
+      id: 'lower-left-click',
+      d: 'M12.4 433.9C2.0 421.4 38.9 212.4 38.9 212.4H223.6V397.4C223.6 397.4 22.8 446.4 12.4 433.9Z',
+      fill: 'green',
+      target: { kind: 'color', quadrant: 'green' },
+    },
+    {
+      id: 'lower-right-click',
+      d: 'M434.7 434.2C445.1 421.7 408.2 212.7 408.2 212.7H223.5V397.7C223.5 397.7 424.2 446.7 434.7 434.2Z',
+      fill: 'yellow',
+      target: { kind: 'color', quadrant: 'yellow' },
+    },
+  ],
+  creases: [
+    { d: 'M3.7 1.8L222.7 211.8', stroke: 'red.dark' },
+    { d: 'M445.0 2.4L222.5 213.1', stroke: 'blue.dark' },
+    { d: 'M222.7 213.2L13.3 433.7', stroke: 'green.dark' },
+    { d: 'M222.7 211.8L437.7 434', stroke: 'yellow.dark' },
+  ],
+  triangles: [],
+  labels: [],
+  // Along the outer edge, clear of the creases; `width` is the room for the word
+  words: [
+    { quadrant: 'red', x: 145, y: 64, width: 130 },
+    { quadrant: 'blue', x: 311, y: 64, width: 130 },
+    { quadrant: 'green', x: 145, y: 392, width: 130 },
+    { quadrant: 'yellow', x: 311, y: 392, width: 130 },
+  ],
+};
+
+// Opened left-right: inner triangles 7, 1, 5, 3 are showing
+const HORIZONTAL = {
+  width: 456,
+  height: 461,
+  flaps: [
+    { d: 'M2.04 1.85C14.54 -8.56 223.54 28.35 223.54 28.35V213.02H38.54C38.54 213.02 -10.46 12.26 2.04 1.85Z', fill: 'red' },
+    { d: 'M446.06 2.20C433.56 -8.21 224.56 28.70 224.56 28.70V213.37H409.56C409.56 213.37 458.56 12.62 446.06 2.20Z', fill: 'blue' },
+    { d: 'M12.85 433.50C2.43 421 39.35 212 39.35 212H224.02V397C224.02 397 23.27 446 12.85 433.50Z', fill: 'green' },
+    { d: 'M435.17 434.85C445.58 422.35 408.67 213.35 408.67 213.35H224V398.35C224 398.35 424.75 447.35 435.17 434.85Z', fill: 'yellow' },
+  ],
+  creases: [
+    { d: 'M224 28L224 210', stroke: 'red.dark' },
+    { d: 'M445.00 2.42L222.45 213.14', stroke: 'blue.dark' },
+    { d: 'M3.69 1.78L222.69 211.78', stroke: 'red.dark' },
+    { d: 'M223.17 212.45L438.17 435.45', stroke: 'yellow.dark' },
+    { d: 'M223.18 213.83L13.71 434.39', stroke: 'green.dark' },
+    { d: 'M222 211L224 399', stroke: 'green.dark' },
+  ],
+  triangles: [
+    { id: '7-click', d: 'M137 141L224.31 78L224.31 212.83L40.20 214.43L137 141Z', fill: 'red.dark', target: { kind: 'number', number: 7 } },
+    { id: '1-click', d: 'M309.46 140.34L224.91 77.20L225.02 211.88L408.97 213.20L309.46 140.34Z', fill: 'blue.dark', target: { kind: 'number', number: 1 } },
+    { id: '5-click', d: 'M140 281.1L224.5 341L224.5 210.6L39.8 210.2L140 281.1Z', fill: 'green.dark', target: { kind: 'number', number: 5 } },
+    { id: '3-click', d: 'M308 282L222.2 342.2L224.6 210.7L409 212.7L308 282Z', fill: 'yellow.dark', target: { kind: 'number', number: 3 } },
+  ],
+  labels: [
+    { text: '7', x: 159.7, y: 188.4 },
+    { text: '1', x: 262.5, y: 188.4 },
+    { text: '5', x: 158.5, y: 275.4 },
+    { text: '3', x: 258.1, y: 275.4 },
+  ],
+};
+
+// Opened top-bottom: inner triangles 8, 2, 6, 4 are showing
+const VERTICAL = {
+  width: 461,
+  height: 456,
+  flaps: [
+    { d: 'M2.20 9.29C-8.21 21.79 28.70 230.79 28.70 230.79L213.37 230.79L213.37 45.79C213.37 45.79 12.62 -3.20 2.20 9.29Z', fill: 'red' },
+    { d: 'M434.85 20.18C422.35 9.77 213.35 46.68 213.35 46.68L213.35 231.36L398.35 231.36C398.35 231.36 447.35 30.60 434.85 20.18Z', fill: 'blue' },
+    { d: 'M1.85 453.31C-8.56 440.81 28.35 231.81 28.35 231.81L213.02 231.81L213.02 416.81C213.02 416.81 12.26 465.81 1.85 453.31Z', fill: 'green' },
+    { d: 'M433.50 442.50C421.00 452.92 212.00 416.00 212.00 416.00L212.00 231.33L397.00 231.33C397.00 231.33 446.00 432.08 433.50 442.50Z', fill: 'yellow' },
+  ],
+  creases: [
+    { d: 'M28 231.36L210 231.36', stroke: 'red' },
+    { d: 'M2.42 10.35L213.14 232.90', stroke: 'red.dark' },
+    { d: 'M1.78 451.66L211.78 232.66', stroke: 'green.dark' },
+    { d: 'M212.45 232.17L435.45 17.18', stroke: 'blue.dark' },
+    { d: 'M213.84 232.16L434.39 441.64', stroke: 'yellow.dark' },
+    { d: 'M210.99 232.35L399.00 232.35', stroke: 'green.dark' },
+  ],
+  triangles: [
+    { id: '8-click', d: 'M127.4 144.8L54 233L213 233L213 47L127.4 144.8Z', fill: 'red.dark', target: { kind: 'number', number: 8 } },
+    { id: '2-click', d: 'M298.6 147.9L371 233H213V47L298.6 147.9Z', fill: 'blue.dark', target: { kind: 'number', number: 2 } },
+    { id: '6-click', d: 'M127.4 320.4L54 233.1L213 233.1L213 417.1L127.4 320.4Z', fill: 'green.dark', target: { kind: 'number', number: 6 } },
+    { id: '4-click', d: 'M298.7 317.1L371.1 233H213V416.9L298.7 317.1Z', fill: 'yellow.dark', target: { kind: 'number', number: 4 } },
+  ],
+  labels: [
+    { text: '8', x: 150.2, y: 190.4 },
+    { text: '2', x: 250.9, y: 190.4 },
+    { text: '6', x: 150.1, y: 316.4 },
+    { text: '4', x: 249.7, y: 316.4 },
+  ],
+};
+
+// Fully opened: the eight flaps that hide the fortunes
+const OPENED_FLAPS = [
+  { number: 1, d: 'M217 221L430 2.5H217V221Z', fill: 'blue', stroke: 'blue.dark', label: { x: 266.51, y: 96.91 } },
+  { number: 2, d: 'M430.5 3L217 219H430L430.5 3Z', fill: 'blue', stroke: 'blue.dark', label: { x: 332.85, y: 178.91 } },
+  { number: 3, d: 'M429.5 438.5L216.5 220H429.5V438.5Z', fill: 'yellow', stroke: 'yellow.dark', label: { x: 336.06, y: 299.91 } },
+  { number: 4, d: 'M217 219.5L430 438H217V219.5Z', fill: 'yellow', stroke: 'yellow.dark', label: { x: 263.68, y: 389.91 } },
+  { number: 5, d: 'M217 219.5L4 438H217V219.5Z', fill: 'green', stroke: 'green.dark', label: { x: 119.55, y: 389.91 } },
+  { number: 6, d: 'M3.5 438L216.5 219.5H3.5V438Z', fill: 'green', stroke: 'green.dark', label: { x: 57.1, y: 299.9 } },
+  { number: 7, d: 'M3.5 2.5L216.5 221H3.5V2.5Z', fill: 'red', stroke: 'red.mid', label: { x: 58.7, y: 163.9 } },
+  { number: 8, d: 'M216 220.5L3 2H216V220.5Z', fill: 'red', stroke: 'red.dark', label: { x: 129.2, y: 96.9 } },
+];
+
+const OPENED = {
+  width: 433,
+  height: 441,
+  flaps: [],
+  creases: [],
+  triangles: OPENED_FLAPS.map(flap => ({
+    id: `${flap.number}-click`,
+    d: flap.d,
+    fill: flap.fill,
+    stroke: flap.stroke,
+    target: { kind: 'flap', number: flap.number },
+  })),
+  labels: OPENED_FLAPS.map(flap => ({ text: String(flap.number), ...flap.label })),
+};
+
+// Canvas for a lifted flap. Flaps 1, 4, 5 and 8 make room above the teller,
+// flaps 2, 3, 6 and 7 split its halves apart; the fortune is written in the space.
+const LIFT_LAYOUTS = {
+  tall: {
+    width: 434,
+    height: 662,
+    left: { dx: 0, dy: 221 },
+    right: { dx: 0, dy: 221 },
+    room: { x: 0, y: 0, width: 434, height: 221 },
+  },
+  wide: {
+    width: 660,
+    height: 441,
+    left: { dx: 3, dy: 0 },
+    right: { dx: 222, dy: 0 },
+    room: { x: 220, y: 0, width: 219, height: 441 },
+  },
+};
+
+// The lifted flap for each number, in canvas coordinates of its layout
+const LIFTED_FLAPS = {
+  1: { layout: 'tall', d: 'M218 3L431 221.5H218V3Z' },
+  2: { layout: 'wide', d: 'M439 3L652 221.5V3H439Z' },
+  3: { layout: 'wide', d: 'M651.5 220L438.5 438.5V220H651.5Z' },
+  4: { layout: 'tall', d: 'M217 659L430 440.5V659H217Z' },
+  5: { layout: 'tall', d: 'M217 659L4 440.5V659H217Z' },
+  6: { layout: 'wide', d: 'M6.5 219.5L219.5 438V219.5H6.5Z' },
+  7: { layout: 'wide', d: 'M219.5 2.5L6.5 221V2.5H219.5Z' },
+  8: { layout: 'tall', d: 'M3 441.5L216 223V441.5H3Z' },
+};
+
+const translate = ({ dx, dy }) => (dx || dy ? `translate(${dx} ${dy})` : undefined);
+
+// Fully opened teller with flap `number` lifted; its number is hidden under the fold
+const getLiftedGeometry = (number) => {
+  const lifted = LIFTED_FLAPS[number];
+  const layout = LIFT_LAYOUTS[lifted.layout];
+  const flap = OPENED_FLAPS.find(f => f.number === number);
+  // Flaps 1-4 sit on the right half, 5-8 on the left
+  const offsetFor = (n) => (n <= 4 ? layout.right : layout.left);
+
+  return {
+    width: layout.width,
+    height: layout.height,
+    room: layout.room,
+    flaps: [],
+    creases: [],
+    triangles: [
+      ...OPENED_FLAPS.map(f => ({ d: f.d, fill: f.fill, stroke: f.stroke, transform: translate(offsetFor(f.number)) })),
+      { id: `flap-${number}-lifted`, d: lifted.d, fill: flap.fill, stroke: flap.stroke },
+    ],
+    labels: OPENED_FLAPS
+      .filter(f => f.number !== number)
+      .map(f => {
+        const { dx, dy } = offsetFor(f.number);
+        return { text: String(f.number), x: f.label.x + dx, y: f.label.y + dy };
+      }),
+  };
+};
+
+// Center a canvas in the viewport
+const place = (geometry) => ({
+  ...geometry,
+  offset: {
+    x: (VIEWPORT.width - geometry.width) / 2,
+    y: (VIEWPORT.height - geometry.height) / 2,
+  },
+});
+
+// Geometry for a state; animation frames share the shapes of the number
+// states but are not interactive and show no numbers.
+export const getStateGeometry = (state) => place(getCanvasGeometry(state));
+
+const getCanvasGeometry = (state) => {
+  switch (state) {
+    case SVG_STATES.CLOSED:
+      return { ...CLOSED, interactive: true };
+    case SVG_STATES.HORIZONTAL:
+      return { ...HORIZONTAL, labels: [], interactive: false };
+    case SVG_STATES.HORIZONTAL_NUMS:
+      return { ...HORIZONTAL, interactive: true };
+    case SVG_STATES.VERTICAL:
+      return { ...VERTICAL, labels: [], interactive: false };
+    case SVG_STATES.VERTICAL_NUMS:
+      return { ...VERTICAL, interactive: true };
+    case SVG_STATES.OPENED:
+      return { ...OPENED, interactive: true };
+    default: {
+      const flapMatch = /^flap([1-8])$/.exec(state);
+      if (flapMatch) return { ...getLiftedGeometry(Number(flapMatch[1])), interactive: false };
+      return { ...CLOSED, interactive: true };
+    }
+  }
+};
+
+// Numbers reachable in a state, in reading order
+export const getStateNumbers = (state) => {
+  const geometry = getStateGeometry(state);
+  if (!geometry.interactive) return [];
+  return geometry.triangles.filter(t => t.target).map(t => t.target.number);
+};
@@ -0,0 +1,105 @@
+// Pointer gestures on the teller, the same for mouse, pen and touch (Pointer Events).
+//
+//   pinch / spread  two pointers move together or apart
+//   swipe           one pointer moves quickly across and lets go
+//   drag            one pointer presses on a shape and moves off it
+//
+// createGestureRecognizer(handlers) returns pointer event handlers to attach to an
+// element. Each gesture is reported once, to
+//   onPinch('pinch' | 'spread'), onSwipe('left' | 'right' | 'up' | 'down'), onDrag(targetId)
+// where targetId is the id of the element the drag started on. Call didGesture() from a
+// click handler: true when the click only ended a gesture and should be ignored.
+
+// Change in the distance between two pointers that makes a pinch (a fraction of it)
+export const PINCH_THRESHOLD = 0.15;
+// Distance (px) a single pointer must travel to swipe, within SWIPE_MAX_MS
+export const SWIPE_MIN_DISTANCE = 30;
+export const SWIPE_MAX_MS = 800;
+// Distance (px) a pointer must travel from a shape to drag it
+export const DRAG_MIN_DISTANCE = 20;
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+const getSwipeDirection = (dx, dy) => {
+  if (Math.abs(dx) >= Math.abs(dy)) return dx > 0 ? 'right' : 'left';
+  return dy > 0 ? 'down' : 'up';
+};
+
+export const createGestureRecognizer = ({ onPinch, onSwipe, onDrag }) => {
+  // pointerId -> { start: { x, y }, x, y, time, targetId }
+  const pointers = new Map();
+  // Distance between the two pointers when the second one went down
+  let pinchStart = null;
+  // Set once the current gesture has been reported; cleared when all pointers are up
+  let done = false;
+  let clickIsGesture = false;
+
+  const end = (e) => {
+    if (!pointers.has(e.pointerId)) return;
+    pointers.delete(e.pointerId);
+    if (pointers.size < 2) pinchStart = null;
+    if (pointers.size === 0) {
+      clickIsGesture = done;
+      done = false;
+    }
+  };
+
+  return {
+    onPointerDown: (e) => {
+      const point = { x: e.clientX, y: e.clientY };
+      pointers.set(e.pointerId, {
+        start: point,
+        ...point,
+        time: e.timeStamp,
+        targetId: e.target && e.target.id,
+      });
+      clickIsGesture = false;
+      if (pointers.size === 2) {
+        const [a, b] = pointers.values();
+        pinchStart = distance(a, b);
+      }
+    },
+
+    onPointerMove: (e) => {
+      const pointer = pointers.get(e.pointerId);
+      if (!pointer) return;
+      pointer.x = e.clientX;
+      pointer.y = e.clientY;
+      if (done) return;
+
+      if (pointers.size === 2 && pinchStart > 0) {
+        const [a, b] = pointers.values();
+        const change = distance(a, b) / pinchStart - 1;
+        if (Math.abs(change) >= PINCH_THRESHOLD) {
+          done = true;
+          onPinch(change < 0 ? 'pinch' : 'spread');
+        }
+      } else if (pointers.size === 1 && pointer.targetId && distance(pointer, pointer.start) >= DRAG_MIN_DISTANCE) {
+        // Only a drag when the handler takes it; otherwise the move may still be a swipe
+        if (onDrag(pointer.targetId)) done = true;
+      }
+    },
+
+    onPointerUp: (e) => {
+      const pointer = pointers.get(e.pointerId);
+      if (pointer && !done && pointers.size === 1) {
+        const dx = e.clientX - pointer.start.x;
+        const dy = e.clientY - pointer.start.y;
+        if (Math.hypot(dx, dy) >= SWIPE_MIN_DISTANCE && e.timeStamp - pointer.time <= SWIPE_MAX_MS) {
+          done = true;
+          onSwipe(getSwipeDirection(dx, dy));
+        }
+      }
+      end(e);
+    },
+
+    onPointerCancel: end,
+    onPointerLeave: end,
+
+    didGesture: () => {
+      const result = clickIsGesture;
+      clickIsGesture = false;
+      return result;
+    },
+  };
+};
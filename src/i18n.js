@@ -0,0 +1,288 @@
+// Texts of the game in each language, and the locale rules they need.
+//
+// A catalog holds every string the player sees or hears:
+//   {
+//     hints: { color, number, reveal, gesture },
+//     colors: { red, blue, green, yellow },  color names spelled on the first move
+//     fortunes: [...],                       the default fortunes, fortune-1..8 in every language
+//     nonWinning: [...],                     texts of NON_WINNING_FORTUNES, in their order
+//     playAgain, retry,                      button labels
+//     playLimit: { daily, cooldown },        cooldown has {time}
+//     a11y: { teller, number, flap, fortune } number and flap have {number}, fortune {text}
+//   }
+// The locale picks a catalog by its language ('pt-BR' -> 'pt'), over English for
+// anything missing; the `messages` prop can override any of it. Templates fill
+// {placeholders} with formatMessage.
+
+import { DEFAULT_FORTUNES, NON_WINNING_FORTUNES } from './fortunes';
+
+export const DEFAULT_LOCALE = 'en';
+
+export const MESSAGES = {
+  en: {
+    hints: {
+      color: 'Tap a color!',
+      number: 'Pick a number!',
+      reveal: 'Reveal your fortune!',
+      gesture: 'Pinch or swipe to fold it!',
+    },
+    colors: { red: 'red', blue: 'blue', green: 'green', yellow: 'yellow' },
+    fortunes: DEFAULT_FORTUNES,
+    nonWinning: NON_WINNING_FORTUNES.map(fortune => fortune.text),
+    playAgain: 'Play again',
+    retry: 'Try again',
+    playLimit: {
+      daily: 'That’s all for today. Come back tomorrow!',
+      cooldown: 'Come back later! Next game at {time}',
+    },
+    a11y: {
+      teller: 'Paper fortune teller',
+      number: 'Number {number}',
+      flap: 'Open flap {number}',
+      fortune: 'Your fortune: {text}',
+    },
+  },
+  es: {
+    hints: {
+      color: '¡Toca un color!',
+      number: '¡Elige un número!',
+      reveal: '¡Descubre tu fortuna!',
+      gesture: '¡Pellizca o desliza para doblarlo!',
+    },
+    colors: { red: 'rojo', blue: 'azul', green: 'verde', yellow: 'amarillo' },
+    fortunes: [
+      '¡Has ganado! 🏆',
+      '¡Te espera una gran fortuna! ✨',
+      '¡El éxito está en tu futuro! 🌟',
+      '¡Qué suerte! ¡Vienen cosas increíbles! 🍀',
+      '¡La victoria es tuya! 🎯',
+      '¡Lograrás grandes cosas! 💫',
+      '¡La fortuna te sonríe! 😊',
+      '¡Tus sueños se harán realidad! 🌈',
+    ],
+    nonWinning: ['Esta vez no... 🍂', 'Las estrellas están calladas hoy 🌙', '¡Casi! Inténtalo de nuevo 🔁'],
+    playAgain: 'Jugar otra vez',
+    retry: 'Intentar de nuevo',
+    playLimit: {
+      daily: 'Eso es todo por hoy. ¡Vuelve mañana!',
+      cooldown: '¡Vuelve más tarde! Próxima partida a las {time}',
+    },
+    a11y: {
+      teller: 'Comecocos de papel',
+      number: 'Número {number}',
+      flap: 'Abrir solapa {number}',
+      fortune: 'Tu fortuna: {text}',
+    },
+  },
+  fr: {
+    hints: {
+      color: 'Touche une couleur !',
+      number: 'Choisis un nombre !',
+      reveal: 'Découvre ta bonne aventure !',
+      gesture: 'Pince ou glisse pour le plier !',
+    },
+    colors: { red: 'rouge', blue: 'bleu', green: 'vert', yellow: 'jaune' },
+    fortunes: [
+      'Tu as gagné ! 🏆',
+      'Une grande fortune t’attend ! ✨',
+      'Le succès est dans ton avenir ! 🌟',
+      'Quelle chance ! De belles choses arrivent ! 🍀',
+      'La victoire est à toi ! 🎯',
+      'Tu accompliras de grandes choses ! 💫',
+      'La chance te sourit ! 😊',
+      'Tes rêves vont se réaliser ! 🌈',
+    ],
+    nonWinning: ['Pas cette fois... 🍂', 'Les étoiles sont silencieuses aujourd’hui 🌙', 'Presque ! Réessaie 🔁'],
+    playAgain: 'Rejouer',
+    retry: 'Réessayer',
+    playLimit: {
+      daily: 'C’est tout pour aujourd’hui. Reviens demain !',
+      cooldown: 'Reviens plus tard ! Prochaine partie à {time}',
+    },
+    a11y: {
+      teller: 'Cocotte en papier',
+      number: 'Nombre {number}',
+      flap: 'Ouvrir le rabat {number}',
+      fortune: 'Ta bonne aventure : {text}',
+    },
+  },
+  de: {
+    hints: {
+      color: 'Tippe auf eine Farbe!',
+      number: 'Wähle eine Zahl!',
+      reveal: 'Enthülle dein Schicksal!',
+      gesture: 'Zusammendrücken oder wischen zum Falten!',
+    },
+    colors: { red: 'rot', blue: 'blau', green: 'grün', yellow: 'gelb' },
+    fortunes: [
+      'Du hast gewonnen! 🏆',
+      'Großes Glück erwartet dich! ✨',
+      'Erfolg liegt in deiner Zukunft! 🌟',
+      'Glückspilz! Tolle Dinge kommen! 🍀',
+      'Der Sieg gehört dir! 🎯',
+      'Du wirst Großes erreichen! 💫',
+      'Das Glück lächelt dir zu! 😊',
+      'Deine Träume werden wahr! 🌈',
+    ],
+    nonWinning: ['Diesmal nicht... 🍂', 'Die Sterne schweigen heute 🌙', 'Knapp! Versuch es noch einmal 🔁'],
+    playAgain: 'Nochmal spielen',
+    retry: 'Nochmal versuchen',
+    playLimit: {
+      daily: 'Das war’s für heute. Komm morgen wieder!',
+      cooldown: 'Komm später wieder! Nächstes Spiel um {time}',
+    },
+    a11y: {
+      teller: 'Himmel und Hölle aus Papier',
+      number: 'Zahl {number}',
+      flap: 'Klappe {number} öffnen',
+      fortune: 'Dein Schicksal: {text}',
+    },
+  },
+  pt: {
+    hints: {
+      color: 'Toque em uma cor!',
+      number: 'Escolha um número!',
+      reveal: 'Revele sua sorte!',
+      gesture: 'Belisque ou deslize para dobrar!',
+    },
+    colors: { red: 'vermelho', blue: 'azul', green: 'verde', yellow: 'amarelo' },
+    fortunes: [
+      'Você ganhou! 🏆',
+      'Uma grande sorte espera por você! ✨',
+      'O sucesso está no seu futuro! 🌟',
+      'Que sorte! Coisas incríveis estão chegando! 🍀',
+      'A vitória é sua! 🎯',
+      'Você vai alcançar grandes coisas! 💫',
+      'A sorte sorri para você! 😊',
+      'Seus sonhos vão se realizar! 🌈',
+    ],
+    nonWinning: ['Não foi desta vez... 🍂', 'As estrelas estão quietas hoje 🌙', 'Quase! Tente de novo 🔁'],
+    playAgain: 'Jogar de novo',
+    retry: 'Tentar de novo',
+    playLimit: {
+      daily: 'Por hoje é só. Volte amanhã!',
+      cooldown: 'Volte mais tarde! Próximo jogo às {time}',
+    },
+    a11y: {
+      teller: 'Quantos-queres de papel',
+      number: 'Número {number}',
+      flap: 'Abrir aba {number}',
+      fortune: 'Sua sorte: {text}',
+    },
+  },
+  ar: {
+    hints: {
+      color: 'اضغط على لون!',
+      number: 'اختر رقمًا!',
+      reveal: 'اكشف عن حظك!',
+      gesture: 'اقرص أو اسحب لطيّه!',
+    },
+    colors: { red: 'أحمر', blue: 'أزرق', green: 'أخضر', yellow: 'أصفر' },
+    fortunes: [
+      'أنت الفائز! 🏆',
+      'حظ عظيم ينتظرك! ✨',
+      'النجاح في مستقبلك! 🌟',
+      'يا لك من محظوظ! أشياء رائعة قادمة! 🍀',
+      'النصر لك! 🎯',
+      'ستحقق إنجازات عظيمة! 💫',
+      'الحظ يبتسم لك! 😊',
+      'أحلامك ستتحقق! 🌈',
+    ],
+    nonWinning: ['ليس هذه المرة... 🍂', 'النجوم هادئة اليوم 🌙', 'اقتربت! حاول مرة أخرى 🔁'],
+    playAgain: 'العب مرة أخرى',
+    retry: 'حاول مرة أخرى',
+    playLimit: {
+      daily: 'هذا كل شيء لليوم. عد غدًا!',
+      cooldown: 'عد لاحقًا! اللعبة التالية في {time}',
+    },
+    a11y: {
+      teller: 'لعبة الحظ الورقية',
+      number: 'الرقم {number}',
+      flap: 'افتح الجناح {number}',
+      fortune: 'حظك: {text}',
+    },
+  },
+};
+
+// Sections whose keys merge one by one; the rest are replaced whole
+const KEYED_SECTIONS = ['hints', 'colors', 'playLimit', 'a11y'];
+const LIST_SECTIONS = ['fortunes', 'nonWinning'];
+const TEXT_KEYS = ['playAgain', 'retry'];
+
+// Languages written right to left
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ps', 'ur', 'yi'];
+
+export const getLanguage = (locale) => String(locale || DEFAULT_LOCALE).split(/[-_]/)[0].toLowerCase();
+
+// The BCP 47 tag for Intl and toLocale* calls ('pt_BR' -> 'pt-BR'), or undefined (the
+// runtime's own locale) for one Intl does not take
+export const getLocaleTag = (locale) => {
+  if (!locale) return undefined;
+  try {
+    return Intl.getCanonicalLocales(String(locale).replace(/_/g, '-'))[0];
+  } catch (e) {
+    return undefined;
+  }
+};
+
+const mergeCatalogs = (a, b = {}) => {
+  const merged = { ...a };
+  KEYED_SECTIONS.forEach(section => {
+    if (b[section]) merged[section] = { ...a[section], ...b[section] };
+  });
+  [...LIST_SECTIONS, ...TEXT_KEYS].forEach(key => {
+    if (b[key] !== undefined) merged[key] = b[key];
+  });
+  return merged;
+};
+
+// Catalog for a locale: English, then its language, then the exact tag, then `overrides`
+export const resolveMessages = (locale, overrides) => {
+  const tag = String(locale || DEFAULT_LOCALE);
+  const layers = [MESSAGES[getLanguage(tag)], MESSAGES[tag], overrides];
+  return layers.reduce((catalog, layer) => (layer ? mergeCatalogs(catalog, layer) : catalog), MESSAGES[DEFAULT_LOCALE]);
+};
+
+export const getTextDirection = (locale) => (RTL_LANGUAGES.includes(getLanguage(locale)) ? 'rtl' : 'ltr');
+
+// 'Number {number}', { number: 3 } -> 'Number 3'; unknown placeholders are left as they are
+export const formatMessage = (template, values = {}) =>
+  String(template).replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? String(values[key]) : match));
+
+// What the player reads as single letters: accents, combined marks and emoji
+// sequences count once. Intl.Segmenter where there is one, otherwise base
+// characters with their combining marks.
+export const splitGraphemes = (text, locale) => {
+  if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+    return Array.from(new Intl.Segmenter(getLocaleTag(locale), { granularity: 'grapheme' }).segment(text), s => s.segment);
+  }
+  return text.match(/\P{M}\p{M}*/gu) || [];
+};
+
+// Check a `messages` override from outside (URL); returns a list of problems
+export const validateMessages = (messages) => {
+  if (!messages || typeof messages !== 'object' || Array.isArray(messages)) return ['messages must be an object'];
+  const problems = [];
+  Object.entries(messages).forEach(([key, value]) => {
+    if (KEYED_SECTIONS.includes(key)) {
+      const sample = MESSAGES[DEFAULT_LOCALE][key];
+      if (!value || typeof value !== 'object') {
+        problems.push(`${key} must be an object`);
+        return;
+      }
+      Object.entries(value).forEach(([name, text]) => {
+        if (!(name in sample)) problems.push(`unknown message "${key}.${name}"`);
+        else if (typeof text !== 'string' || !text.trim()) problems.push(`${key}.${name} must be a non-empty string`);
+      });
+    } else if (LIST_SECTIONS.includes(key)) {
+      if (!Array.isArray(value) || !value.every(text => typeof text === 'string' && text.trim())) {
+        problems.push(`${key} must be a list of non-empty strings`);
+      }
+    } else if (TEXT_KEYS.includes(key)) {
+      if (typeof value !== 'string' || !value.trim()) problems.push(`${key} must be a non-empty string`);
+    } else {
+      problems.push(`unknown message "${key}"`);
+    }
+  });
+  return problems;
+};
@@ -1,11 +1,13 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import PaperFortune from './PaperFortune'
+import { loadConfigFromUrl } from './config'
 import './styles.css'
 
+const config = loadConfigFromUrl()
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <PaperFortune />
+    <PaperFortune {...config} />
   </React.StrictMode>,
 )
-
@@ -0,0 +1,68 @@
+// Basic markup for fortune texts: bold, italics, underline, small print and line breaks.
+//
+//   'Get <b>10% off</b> today!<br><small>Ends Sunday</small>'
+//
+// parseMarkup turns it into a tree of strings and { tag, children } nodes. Only the tags in
+// MARKUP_TAGS are kept, always without attributes; anything else that looks like a tag is
+// left as text, so a fortune can never inject HTML. Unclosed tags close at the end.
+
+export const MARKUP_TAGS = ['b', 'strong', 'i', 'em', 'u', 'small', 'br', 'p'];
+
+// Tags that hold no content
+const EMPTY_TAGS = ['br'];
+const BREAKING_TAGS = ['br', 'p'];
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeEntities = (text) => text.replace(/&(#\d+|#x[0-9a-f]+|[a-z]+);/gi, (match, name) => {
+  if (name[0] === '#') {
+    const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+  }
+  return ENTITIES[name.toLowerCase()] ?? match;
+});
+
+const TAG_PATTERN = new RegExp(`<(/?)(${MARKUP_TAGS.join('|')})\\s*/?>`, 'gi');
+
+export const parseMarkup = (text) => {
+  const source = String(text);
+  const root = { tag: null, children: [] };
+  const stack = [root];
+  const top = () => stack[stack.length - 1];
+  const addText = (value) => {
+    if (value) top().children.push(decodeEntities(value));
+  };
+
+  let last = 0;
+  source.replace(TAG_PATTERN, (match, closing, name, offset) => {
+    addText(source.slice(last, offset));
+    last = offset + match.length;
+    const tag = name.toLowerCase();
+    if (closing) {
+      // Close up to the matching tag; a stray closing tag is dropped
+      const index = stack.map(node => node.tag).lastIndexOf(tag);
+      if (index > 0) stack.length = index;
+    } else if (EMPTY_TAGS.includes(tag)) {
+      top().children.push({ tag, children: [] });
+    } else {
+      const node = { tag, children: [] };
+      top().children.push(node);
+      stack.push(node);
+    }
+    return match;
+  });
+  addText(source.slice(last));
+  return root.children;
+};
+
+// The text without its markup (for screen readers and plain-text places)
+export const markupToText = (text) => {
+  const flatten = (nodes) => nodes
+    .map(node => {
+      if (typeof node === 'string') return node;
+      // Line breaks and paragraphs separate words; inline tags do not
+      return BREAKING_TAGS.includes(node.tag) ? ` ${flatten(node.children)} ` : flatten(node.children);
+    })
+    .join('');
+  return flatten(parseMarkup(text)).replace(/\s+/g, ' ').trim();
+};
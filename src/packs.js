@@ -0,0 +1,203 @@
+// Content packs: a campaign's fortunes, flap assignments and look in one JSON file,
+// so new content ships without a new build.
+//
+//   {
+//     "version": 1,                          pack format, see PACK_VERSION
+//     "id": "spring-2026",
+//     "name": "Spring campaign",             optional
+//     "defaultLocale": "en",                 language used when a text has none for the player's
+//     "fortunes": [
+//       { "id": "coffee", "text": { "en": "Free coffee! ☕", "es": "¡Café gratis! ☕" },
+//         "tier": "rare", "cap": { "count": 1, "per": "day" }, "payload": { "coupon": "COFFEE1" } }
+//     ],
+//     "flaps": { "1": "coffee", "2": "thanks" },  optional, fortune id per flap
+//     "mapping": "random", "winProbability": 0.3,  optional, as the props
+//     "theme": { ... }, "colors": { ... }, "labels": { "red": { "en": "cherry", "es": "cereza" } }
+//   }
+//
+// Fortunes take every field of a fortune object (see fortunes.js) and need an id. Any
+// text (fortune text, title, body, image alt, CTA label, labels) is a string or an object
+// of texts keyed by language tag.
+// With `flaps`, each flap shows its fortune and mapping defaults to 'flap'.
+//
+// loadPack(source) takes a pack object (imported JSON, a bridge message) or a URL
+// (relative URLs resolve next to index.html) and resolves to the checked pack, or rejects
+// with an error whose `problems` lists everything wrong with it.
+
+import { QUADRANTS } from './geometry';
+import { validateTheme, mergeThemes, themeFromShortcuts, isHexColor } from './theme';
+import { validateFortunes, isValidWinProbability, FORTUNE_MAPPING } from './fortunes';
+import { DEFAULT_LOCALE, getLanguage } from './i18n';
+
+// Newest pack format this build reads
+export const PACK_VERSION = 1;
+
+const PACK_KEYS = ['version', 'id', 'name', 'defaultLocale', 'fortunes', 'flaps', 'mapping', 'winProbability', 'theme', 'colors', 'labels'];
+
+const isLanguageTag = (value) => typeof value === 'string' && /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(value);
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+
+// A string, or { [languageTag]: string } with at least one text
+const isLocalizedText = (value) => {
+  if (isText(value)) return true;
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  const entries = Object.entries(value);
+  return entries.length > 0 && entries.every(([tag, text]) => isLanguageTag(tag) && isText(text));
+};
+
+// The text for `locale`: its exact tag, its language, the pack's default, then any
+const localize = (value, locale, defaultLocale) => {
+  if (typeof value === 'string') return value;
+  const tag = String(locale || defaultLocale);
+  return value[tag] ?? value[getLanguage(tag)] ?? value[defaultLocale] ?? Object.values(value)[0];
+};
+
+// A pack fortune with every text in one language
+const localizeFortune = (fortune, locale, defaultLocale) => {
+  const at = (value) => (value === undefined ? value : localize(value, locale, defaultLocale));
+  const localized = { ...fortune, text: at(fortune.text) };
+  if (fortune.title !== undefined) localized.title = at(fortune.title);
+  if (fortune.body !== undefined) localized.body = at(fortune.body);
+  if (fortune.image && typeof fortune.image === 'object') localized.image = { ...fortune.image, alt: at(fortune.image.alt) };
+  if (fortune.cta && typeof fortune.cta === 'object') localized.cta = { ...fortune.cta, label: at(fortune.cta.label) };
+  return localized;
+};
+
+// Check a pack; returns a list of problems
+export const validatePack = (pack) => {
+  if (!pack || typeof pack !== 'object' || Array.isArray(pack)) return ['a pack must be a JSON object'];
+  const problems = [];
+
+  Object.keys(pack).filter(key => !PACK_KEYS.includes(key)).forEach(key => problems.push(`unknown key "${key}"`));
+
+  if (pack.version === undefined) problems.push('version is required');
+  else if (!Number.isInteger(pack.version) || pack.version < 1) problems.push('version must be a whole number from 1');
+  else if (pack.version > PACK_VERSION) problems.push(`version ${pack.version} is newer than this build reads (${PACK_VERSION})`);
+  if (!isText(pack.id)) problems.push('id must be a non-empty string');
+  if (pack.name !== undefined && typeof pack.name !== 'string') problems.push('name must be a string');
+  if (pack.defaultLocale !== undefined && !isLanguageTag(pack.defaultLocale)) {
+    problems.push(`defaultLocale "${pack.defaultLocale}" is not a language tag`);
+  }
+
+  const fortunes = Array.isArray(pack.fortunes) ? pack.fortunes : [];
+  if (fortunes.length === 0) problems.push('fortunes must be a non-empty list');
+  const ids = new Set();
+  fortunes.forEach((fortune, index) => {
+    const name = `fortune ${index + 1}`;
+    if (!fortune || typeof fortune !== 'object' || Array.isArray(fortune)) {
+      problems.push(`${name} must be an object`);
+      return;
+    }
+    if (!isText(fortune.id)) problems.push(`${name}: id must be a non-empty string`);
+    else ids.add(fortune.id);
+    if (!isLocalizedText(fortune.text)) problems.push(`${name}: text must be a string or texts keyed by language`);
+    [['title', fortune.title], ['body', fortune.body], ['image.alt', fortune.image && fortune.image.alt],
+      ['cta.label', fortune.cta && fortune.cta.label]].forEach(([key, value]) => {
+      if (value !== undefined && value !== '' && !isLocalizedText(value)) problems.push(`${name}: ${key} must be a string or texts keyed by language`);
+    });
+  });
+  // The rest of each fortune is checked as the game will see it
+  if (problems.length === 0) {
+    const localized = fortunes.map(fortune => localizeFortune(fortune, pack.defaultLocale, DEFAULT_LOCALE));
+    validateFortunes(localized).forEach(problem => problems.push(problem));
+  }
+
+  if (pack.flaps !== undefined) {
+    if (!pack.flaps || typeof pack.flaps !== 'object' || Array.isArray(pack.flaps)) {
+      problems.push('flaps must be an object keyed by flap 1-8');
+    } else {
+      Object.entries(pack.flaps).forEach(([flap, id]) => {
+        if (!/^[1-8]$/.test(flap)) problems.push(`flaps: unknown flap "${flap}", expected 1-8`);
+        else if (!ids.has(id)) problems.push(`flaps: flap ${flap} names unknown fortune "${id}"`);
+      });
+    }
+  }
+
+  if (pack.mapping !== undefined && !Object.values(FORTUNE_MAPPING).includes(pack.mapping)) {
+    problems.push(`mapping must be one of ${Object.values(FORTUNE_MAPPING).join(', ')}`);
+  }
+  if (pack.winProbability !== undefined && !isValidWinProbability(pack.winProbability)) {
+    problems.push('winProbability must be a number from 0 to 1');
+  }
+  if (pack.theme !== undefined) validateTheme(pack.theme).forEach(problem => problems.push(`theme: ${problem}`));
+  [['colors', isHexColor, 'a 6-digit hex color'], ['labels', isLocalizedText, 'a name or names keyed by language']]
+    .forEach(([key, isValid, expected]) => {
+      if (pack[key] === undefined) return;
+      if (!pack[key] || typeof pack[key] !== 'object') {
+        problems.push(`${key} must be an object keyed by quadrant`);
+        return;
+      }
+      Object.entries(pack[key]).forEach(([quadrant, value]) => {
+        if (!QUADRANTS.includes(quadrant)) problems.push(`${key}: unknown quadrant "${quadrant}"`);
+        else if (!isValid(value)) problems.push(`${key}.${quadrant} must be ${expected}`);
+      });
+    });
+
+  return problems;
+};
+
+// A checked pack in the player's language -> { id, fortunes, mapping, winProbability, theme }.
+// `fortunes` is a list, or an object keyed by flap when the pack assigns flaps.
+export const resolvePack = (pack, locale) => {
+  const defaultLocale = pack.defaultLocale || DEFAULT_LOCALE;
+  const fortunes = pack.fortunes.map(fortune => localizeFortune(fortune, locale, defaultLocale));
+  const labels = pack.labels && Object.fromEntries(
+    Object.entries(pack.labels).map(([quadrant, name]) => [quadrant, localize(name, locale, defaultLocale)]),
+  );
+  return {
+    id: pack.id,
+    fortunes: pack.flaps
+      ? Object.fromEntries(Object.entries(pack.flaps).map(([flap, id]) => [flap, fortunes.find(f => f.id === id)]))
+      : fortunes,
+    mapping: pack.mapping,
+    winProbability: pack.winProbability,
+    theme: mergeThemes(pack.theme, themeFromShortcuts(pack.colors, labels)),
+  };
+};
+
+const packError = (message, problems = [message]) => Object.assign(new Error(message), { problems });
+
+// JSON at a URL. fetch() cannot read file: URLs (a game installed as app assets), so those
+// are read with XMLHttpRequest, which can when the WebView allows file access.
+const readJson = (url) => {
+  if (new URL(url, window.location.href).protocol !== 'file:') {
+    return fetch(url).then(response => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    });
+  }
+  return new Promise((resolve, reject) => {
+    const request = new XMLHttpRequest();
+    request.open('GET', url);
+    request.onload = () => {
+      // A file that was read answers with status 0
+      if (request.status !== 0 && request.status !== 200) {
+        reject(new Error(`HTTP ${request.status}`));
+        return;
+      }
+      try {
+        resolve(JSON.parse(request.responseText));
+      } catch (e) {
+        reject(e);
+      }
+    };
+    request.onerror = () => reject(new Error('the file could not be read'));
+    request.send();
+  });
+};
+
+// Pack object or URL -> promise of the checked pack
+export const loadPack = (source) => {
+  const fetched = typeof source === 'string'
+    ? Promise.resolve(source)
+      .then(readJson)
+      .catch(e => {
+        throw packError(`could not load pack "${source}": ${e.message}`);
+      })
+    : Promise.resolve(source);
+  return fetched.then(pack => {
+    const problems = validatePack(pack);
+    if (problems.length) throw packError(`invalid pack: ${problems.join('; ')}`, problems);
+    return pack;
+  });
+};
@@ -0,0 +1,31 @@
+// Seedable random numbers, so a play can be replayed exactly.
+// The same seed always gives the same sequence; without a seed Math.random is used.
+
+// Hash a seed of any kind to 32 bits
+const hashSeed = (seed) => {
+  const text = String(seed);
+  let hash = 1779033703 ^ text.length;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 3432918353);
+    hash = (hash << 13) | (hash >>> 19);
+  }
+  hash = Math.imul(hash ^ (hash >>> 16), 2246822507);
+  hash = Math.imul(hash ^ (hash >>> 13), 3266489909);
+  return (hash ^ (hash >>> 16)) >>> 0;
+};
+
+export const isValidSeed = (seed) =>
+  (typeof seed === 'string' && seed.trim() !== '') || Number.isFinite(seed);
+
+// Random function for a seed (mulberry32): returns numbers in [0, 1) like Math.random
+export const createRandom = (seed) => {
+  if (!isValidSeed(seed)) return Math.random;
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
@@ -0,0 +1,178 @@
+// Play history kept between loads, the play limits checked against it, and snapshots
+// of the game in progress so it can resume after the WebView reloads.
+//
+// A storage adapter has two methods, either of which may return a promise:
+//   load()       -> the saved plays (an array), or nothing
+//   save(plays)  -> store the plays
+// `storage` is 'local' (localStorage), 'host' (the React Native app keeps it, see
+// createHostStorage) or an adapter of your own. Without one, plays are kept in memory.
+//
+// A play is { timestamp, color, colorName, number, flapNumber, fortuneId, tier, outcome, sessionId }.
+
+import { RESTING_STATES } from './geometry';
+import { FORTUNE_OUTCOMES } from './fortunes';
+
+export const DEFAULT_STORAGE_KEY = 'paperFortune.history';
+
+// Oldest plays are dropped beyond this
+export const MAX_SAVED_PLAYS = 200;
+
+const warn = (message) => console.warn(`[PaperFortune storage] ${message}`);
+
+export const createLocalStorage = (key = DEFAULT_STORAGE_KEY) => ({
+  load: () => {
+    try {
+      const saved = window.localStorage.getItem(key);
+      return saved ? JSON.parse(saved) : [];
+    } catch (e) {
+      warn(`could not read the play history: ${e.message}`);
+      return [];
+    }
+  },
+  save: (plays) => {
+    try {
+      window.localStorage.setItem(key, JSON.stringify(plays));
+    } catch (e) {
+      warn(`could not save the play history: ${e.message}`);
+    }
+  },
+});
+
+// The host keeps the history: it sends it with the `setHistory` command once the game
+// is `ready`, and stores the plays of each `historyChanged` event. Loading waits for
+// the host for up to `timeoutMs`, then starts with an empty history.
+export const createHostStorage = (timeoutMs = 2000) => {
+  let receive;
+  const received = new Promise(resolve => {
+    receive = resolve;
+  });
+  return {
+    load: () => Promise.race([
+      received,
+      new Promise(resolve => setTimeout(() => resolve([]), timeoutMs)),
+    ]),
+    save: () => {},
+    receive: (plays) => receive(plays),
+  };
+};
+
+// `storage` prop -> adapter, or null to keep plays in memory only
+export const resolveStorage = (storage, key) => {
+  if (storage === 'local') return createLocalStorage(key);
+  if (storage === 'host') return createHostStorage();
+  if (storage && typeof storage.load === 'function' && typeof storage.save === 'function') return storage;
+  if (storage) warn('storage must be "local", "host" or an object with load() and save()');
+  return null;
+};
+
+// Keep well-formed plays only, oldest first, at most MAX_SAVED_PLAYS
+export const sanitizePlays = (plays) => {
+  if (!Array.isArray(plays)) return [];
+  return plays
+    .filter(play => play && typeof play === 'object'
+      && Number.isFinite(play.timestamp) && typeof play.fortuneId === 'string')
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .slice(-MAX_SAVED_PLAYS);
+};
+
+const getMidnight = (now) => {
+  const midnight = new Date(now);
+  midnight.setHours(0, 0, 0, 0);
+  return midnight;
+};
+
+// A retry is another go at the same play, so it counts toward no limit
+const getLimitedPlays = (plays) => plays.filter(play => play.outcome !== FORTUNE_OUTCOMES.RETRY);
+
+export const countPlaysToday = (plays, now = Date.now()) => {
+  const since = getMidnight(now).getTime();
+  return getLimitedPlays(plays).filter(play => play.timestamp >= since).length;
+};
+
+// Check the limits { maxPlaysPerDay, cooldownMs } against the plays.
+// Returns null when another game may start, otherwise { reason: 'daily' | 'cooldown', until }.
+export const getPlayLimit = (plays, { maxPlaysPerDay, cooldownMs }, now = Date.now()) => {
+  if (maxPlaysPerDay > 0 && countPlaysToday(plays, now) >= maxPlaysPerDay) {
+    const tomorrow = getMidnight(now);
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    return { reason: 'daily', until: tomorrow.getTime() };
+  }
+  const limited = getLimitedPlays(plays);
+  if (cooldownMs > 0 && limited.length > 0) {
+    const until = limited[limited.length - 1].timestamp + cooldownMs;
+    if (until > now) return { reason: 'cooldown', until };
+  }
+  return null;
+};
+
+// Game snapshots: where the game rests (an animation counts as its end state), so a
+// reloaded WebView picks up the same game:
+//   { version, state, turn, selection, revealedFortune, sessionId, savedAt }
+
+const SNAPSHOT_VERSION = 1;
+
+// Older snapshots start a new game instead
+export const SNAPSHOT_MAX_AGE_MS = 60 * 60 * 1000;
+
+export const getSnapshotKey = (storageKey = DEFAULT_STORAGE_KEY) => `${storageKey}.game`;
+
+export const createSnapshot = ({ state, turn, selection, revealedFortune, sessionId }) => ({
+  version: SNAPSHOT_VERSION,
+  state,
+  turn,
+  selection,
+  revealedFortune,
+  sessionId,
+  savedAt: Date.now(),
+});
+
+// Check where a saved game rests ({ state, turn, selection, revealedFortune }, as in a
+// snapshot or a game state from game.js); returns a list of problems
+export const validateGameState = (saved) => {
+  if (!saved || typeof saved !== 'object') return ['a game state must be an object'];
+  const problems = [];
+  if (!RESTING_STATES.includes(saved.state)) problems.push(`unknown state "${saved.state}"`);
+  if (!Number.isInteger(saved.turn) || saved.turn < 0) problems.push('turn must be a whole number from 0');
+  const revealed = saved.revealedFortune;
+  if (revealed && (typeof revealed !== 'object' || typeof revealed.text !== 'string')) {
+    problems.push('revealedFortune must be a fortune with a text');
+  }
+  return problems;
+};
+
+// The fields of a checked game state, with an empty selection and no fortune by default
+export const toGameState = (saved) => ({
+  state: saved.state,
+  turn: saved.turn,
+  selection: saved.selection && typeof saved.selection === 'object' ? saved.selection : {},
+  revealedFortune: saved.revealedFortune || null,
+});
+
+// A snapshot that can be resumed, or null
+export const validateSnapshot = (snapshot, now = Date.now()) => {
+  if (!snapshot || typeof snapshot !== 'object' || snapshot.version !== SNAPSHOT_VERSION) return null;
+  if (validateGameState(snapshot).length) return null;
+  if (!Number.isFinite(snapshot.savedAt) || now - snapshot.savedAt > SNAPSHOT_MAX_AGE_MS) return null;
+  return { ...snapshot, ...toGameState(snapshot) };
+};
+
+// sessionStorage survives a reload of the same WebView, not a new one
+export const loadSessionSnapshot = (key) => {
+  try {
+    const saved = window.sessionStorage.getItem(key);
+    return saved ? validateSnapshot(JSON.parse(saved)) : null;
+  } catch (e) {
+    warn(`could not read the game snapshot: ${e.message}`);
+    return null;
+  }
+};
+
+// null removes the snapshot (nothing to resume)
+export const saveSessionSnapshot = (key, snapshot) => {
+  try {
+    if (snapshot) window.sessionStorage.setItem(key, JSON.stringify(snapshot));
+    else window.sessionStorage.removeItem(key);
+  } catch (e) {
+    warn(`could not save the game snapshot: ${e.message}`);
+  }
+};
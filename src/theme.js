@@ -0,0 +1,181 @@
+// Theming for the fortune teller.
+//
+// A theme sets, per quadrant, the fill color, its stroke shades and the color
+// name spelled on the first move, plus the number typography and the styling of
+// the tooltip and hint pills:
+//
+//   {
+//     quadrants: { red: { color: '#E63946', name: 'crimson', mid?, dark? }, ... },
+//     numbers: { color, fontFamily, fontSize, fontWeight },
+//     words: { color, fontFamily, fontSize, fontWeight },  color names on the closed teller
+//     tooltip: { background, color, fontFamily, fontSize, borderRadius },
+//     hint: { background, color, fontFamily, fontSize, borderRadius },
+//   }
+//
+// Missing shades are derived from the quadrant color. The SVG reads each quadrant
+// color and shade from a CSS custom property (--pf-red, --pf-red-mid, --pf-red-dark,
+// ...) with the theme's value as fallback. The pill styles that are set are published
+// as CSS custom properties on the game container; styles.css reads them with the
+// built-in look as fallback. So a host stylesheet can set --pf-<quadrant>*,
+// --pf-tooltip-* and --pf-hint-* instead of passing a theme.
+
+import { QUADRANTS } from './geometry';
+
+export const DEFAULT_THEME = {
+  quadrants: {
+    red: { name: 'red', color: '#EF476F', mid: '#C2395A', dark: '#962B44' },
+    blue: { name: 'blue', color: '#118AB2', mid: '#0D6E8E', dark: '#094559' },
+    green: { name: 'green', color: '#06D6A0', mid: '#04AB80', dark: '#00664C' },
+    yellow: { name: 'yellow', color: '#FFD166', mid: '#CCA751', dark: '#917535' },
+  },
+  numbers: {
+    color: 'white',
+    fontFamily: 'Inter, sans-serif',
+    fontSize: 52,
+    fontWeight: 600,
+  },
+  words: {
+    color: null, // the quadrant's dark shade
+    fontFamily: 'Inter, sans-serif',
+    fontSize: 30,
+    fontWeight: 700,
+  },
+  tooltip: {},
+  hint: {},
+};
+
+// Pill styles that map onto CSS custom properties
+const PILL_PROPERTIES = {
+  background: 'background',
+  color: 'color',
+  fontFamily: 'font-family',
+  fontSize: 'font-size',
+  borderRadius: 'radius',
+};
+
+export const isHexColor = (value) => /^#[0-9A-F]{6}$/i.test(value);
+
+// Helper to darken color
+export const getDarkerShade = (color, darkFactor = 0.8) => {
+  const r = parseInt(color.substr(1, 2), 16);
+  const g = parseInt(color.substr(3, 2), 16);
+  const b = parseInt(color.substr(5, 2), 16);
+  const darkR = Math.floor(r * darkFactor);
+  const darkG = Math.floor(g * darkFactor);
+  const darkB = Math.floor(b * darkFactor);
+  return `#${darkR.toString(16).padStart(2, '0')}${darkG.toString(16).padStart(2, '0')}${darkB.toString(16).padStart(2, '0')}`.toUpperCase();
+};
+
+// Resolve one quadrant: a custom color without shades gets derived shades,
+// rather than the default shades of another color
+const resolveQuadrant = (base, custom = {}) => {
+  if (custom.color && custom.color !== base.color) {
+    return {
+      name: custom.name || base.name,
+      color: custom.color,
+      mid: custom.mid || getDarkerShade(custom.color),
+      dark: custom.dark || getDarkerShade(custom.color, 0.6),
+    };
+  }
+  return { ...base, ...custom };
+};
+
+// Layer theme `b` over theme `a`, section by section and quadrant by quadrant
+export const mergeThemes = (a = {}, b = {}) => {
+  const quadrants = { ...a.quadrants };
+  Object.entries(b.quadrants || {}).forEach(([quadrant, value]) => {
+    quadrants[quadrant] = { ...quadrants[quadrant], ...value };
+  });
+  return {
+    quadrants,
+    numbers: { ...a.numbers, ...b.numbers },
+    words: { ...a.words, ...b.words },
+    tooltip: { ...a.tooltip, ...b.tooltip },
+    hint: { ...a.hint, ...b.hint },
+  };
+};
+
+// Theme for the `colors` and `labels` shortcuts ({ red: '#E63946' }, { red: 'rojo' })
+export const themeFromShortcuts = (colors = {}, labels = {}) => {
+  const quadrants = {};
+  QUADRANTS.forEach(quadrant => {
+    if (colors[quadrant]) quadrants[quadrant] = { ...quadrants[quadrant], color: colors[quadrant] };
+    if (labels[quadrant]) quadrants[quadrant] = { ...quadrants[quadrant], name: labels[quadrant] };
+  });
+  return { quadrants };
+};
+
+// Merge a theme over the defaults
+export const resolveTheme = (theme = {}) => {
+  const quadrants = QUADRANTS.reduce((resolved, quadrant) => {
+    const custom = theme.quadrants && theme.quadrants[quadrant];
+    resolved[quadrant] = resolveQuadrant(DEFAULT_THEME.quadrants[quadrant], custom);
+    return resolved;
+  }, {});
+
+  return {
+    quadrants,
+    numbers: { ...DEFAULT_THEME.numbers, ...theme.numbers },
+    words: { ...DEFAULT_THEME.words, ...theme.words },
+    tooltip: { ...DEFAULT_THEME.tooltip, ...theme.tooltip },
+    hint: { ...DEFAULT_THEME.hint, ...theme.hint },
+  };
+};
+
+// 'red.dark' -> the dark shade of the red quadrant
+export const resolveColor = (ref, theme) => {
+  if (!ref) return undefined;
+  const [quadrant, tone = 'color'] = ref.split('.');
+  const colors = theme.quadrants[quadrant];
+  return colors ? colors[tone] : ref;
+};
+
+// 'red.dark' -> 'var(--pf-red-dark, <dark red>)', for a style; other colors as they are
+export const resolveColorVar = (ref, theme) => {
+  const color = resolveColor(ref, theme);
+  if (!color || color === ref) return color;
+  const [quadrant, tone = 'color'] = ref.split('.');
+  return `var(--pf-${quadrant}${tone === 'color' ? '' : `-${tone}`}, ${color})`;
+};
+
+// CSS custom properties for the container element
+export const getThemeVars = (theme) => {
+  const vars = {};
+  ['tooltip', 'hint'].forEach(pill => {
+    Object.entries(PILL_PROPERTIES).forEach(([key, property]) => {
+      const value = theme[pill][key];
+      if (value === undefined) return;
+      vars[`--pf-${pill}-${property}`] = typeof value === 'number' ? `${value}px` : value;
+    });
+  });
+  return vars;
+};
+
+// Check a theme from outside (bridge, URL); returns a list of problems
+export const validateTheme = (theme) => {
+  const problems = [];
+  if (!theme || typeof theme !== 'object') return ['theme must be an object'];
+
+  Object.entries(theme.quadrants || {}).forEach(([quadrant, value]) => {
+    if (!QUADRANTS.includes(quadrant)) {
+      problems.push(`unknown quadrant "${quadrant}"`);
+      return;
+    }
+    if (!value || typeof value !== 'object') {
+      problems.push(`${quadrant} must be an object`);
+      return;
+    }
+    ['color', 'mid', 'dark'].forEach(key => {
+      if (value[key] !== undefined && !isHexColor(value[key])) {
+        problems.push(`${quadrant}.${key} must be a 6-digit hex color`);
+      }
+    });
+    if (value.name !== undefined && !String(value.name).trim()) {
+      problems.push(`${quadrant}.name must not be empty`);
+    }
+  });
+  Object.keys(theme).forEach(key => {
+    if (!['quadrants', 'numbers', 'words', 'tooltip', 'hint'].includes(key)) problems.push(`unknown theme key "${key}"`);
+  });
+  return problems;
+};